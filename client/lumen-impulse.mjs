@@ -0,0 +1,390 @@
+/**
+ * Lumen Impulse client — reads the static feed of this repository in the browser or in Node 20+.
+ * No dependencies; import it straight from GitHub Pages or copy the file.
+ *
+ *   import { createClient, getGospel } from 'https://michaelporwol.github.io/lumen-impulse/client/lumen-impulse.mjs';
+ *   const client = createClient();
+ *   const { impulse, fallback } = await client.today();
+ *   getGospel(impulse, 'de');   // { reference, text, translation, verses, textHash } or null
+ *
+ * It knows what every consumer otherwise rewrites: "today" is the date in Europe/Berlin (the
+ * generator's getLocalIsoDate), a day that isn't there yet falls back to latest.json, languages
+ * may be null, files from before `schemaVersion` and `readings` are read as v1, and a file of a
+ * newer schema version is refused instead of misread. Fetched days are kept in memory and — where
+ * there is a Web Storage (localStorage) — on the device, so an offline client still has the most
+ * recent day it saw.
+ */
+
+// ── Configuration ──────────────────────────────────────────────────
+export const DEFAULT_BASE_URL = 'https://michaelporwol.github.io/lumen-impulse';
+export const SUPPORTED_SCHEMA_VERSION = 1;
+// Liturgical order of `readings`
+export const READING_SLOTS = ['firstReading', 'psalm', 'secondReading', 'acclamation', 'gospel'];
+const DEFAULTS = {
+  timeoutMs: 8000,
+  maxAgeMs: 10 * 60 * 1000, // how long a fetched file is served from memory
+  storedDays: 14, // how many days are kept in storage for offline use
+  storagePrefix: 'lumen-impulse:',
+  includeDrafts: false,
+};
+
+/**
+ * @typedef {object} Verse
+ * @property {number} chapter
+ * @property {number} verse
+ * @property {string} text
+ * @property {string[]} footnotes
+ *
+ * @typedef {object} Gospel
+ * @property {string} reference    localized, e.g. "Matthäus 23,1-12"
+ * @property {string} text         clean continuous text, safe to read aloud
+ * @property {string} translation  e.g. "Elberfelder 1871"
+ * @property {Verse[]|null} verses null for days from before verse-level data
+ * @property {string|null} textHash
+ *
+ * @typedef {object} Reading
+ * @property {string} slot          one of READING_SLOTS
+ * @property {string} reference
+ * @property {string|null} title
+ * @property {string|null} text     null when the language has no text for this reading
+ * @property {string|null} translation
+ * @property {Verse[]|null} verses
+ *
+ * @typedef {object} Saint
+ * @property {string|null} id         sanctorale.json id, null for a name only the feed knows
+ * @property {string} name
+ * @property {string} rank            solemnity, feast, memorial, optional-memorial or commemoration
+ * @property {string|null} description e.g. "Bishop and Doctor of the Church"
+ *
+ * @typedef {object} AudioTrack
+ * @property {string|null} url     absolute, or null when it is relative and no audioBaseUrl is set
+ * @property {number} duration     seconds
+ * @property {number} size         bytes
+ * @property {string|null} textHash
+ * @property {string|null} alignmentUrl
+ */
+
+// ── Dates ──────────────────────────────────────────────────────────
+
+/** The date in Europe/Berlin as YYYY-MM-DD — the day the generator writes at 00:01 CET. */
+export function berlinDate(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/Berlin', year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+}
+
+export function shiftDate(isoDate, days) {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function datesBetween(from, to) {
+  const dates = [];
+  for (let d = from; d <= to; d = shiftDate(d, 1)) dates.push(d);
+  return dates;
+}
+
+// ── Accessors ──────────────────────────────────────────────────────
+
+/** The schema version a file follows; files from before the field are v1. */
+export function schemaVersion(impulse) {
+  return impulse?.schemaVersion ?? 1;
+}
+
+/** The languages that have a Gospel text on this day. */
+export function getLanguages(impulse) {
+  return Object.entries(impulse?.gospelTexts || {}).filter(([, t]) => t?.text).map(([lang]) => lang);
+}
+
+/**
+ * The Gospel of the day in `lang`, following the language's own regional calendar. Null when the
+ * language has no text that day.
+ * @returns {Gospel|null}
+ */
+export function getGospel(impulse, lang) {
+  const text = impulse?.gospelTexts?.[lang];
+  if (!text?.text) return null;
+  return {
+    // Files from before `gospelRefs` have the German reference and the original (English) one
+    reference: impulse.gospelRefs?.[lang] ?? (lang === 'de' ? impulse.gospelRef : impulse.gospelRefOriginal),
+    text: text.text,
+    translation: text.reference,
+    verses: text.verses || null,
+    textHash: text.textHash || null,
+  };
+}
+
+/**
+ * Every reading of the day in liturgical order, in `lang`. Days from before `readings` have the
+ * Gospel only. A reading the day doesn't have (no second reading on weekdays) is left out.
+ * @returns {Reading[]}
+ */
+export function getReadings(impulse, lang) {
+  if (!impulse?.readings) {
+    const gospel = getGospel(impulse, lang);
+    return gospel ? [{ slot: 'gospel', reference: gospel.reference, title: null, text: gospel.text, translation: gospel.translation, verses: gospel.verses }] : [];
+  }
+  return READING_SLOTS.filter((slot) => impulse.readings[slot]).map((slot) => {
+    const reading = impulse.readings[slot];
+    const text = reading.texts?.[lang];
+    return {
+      slot,
+      reference: reading.refs?.[lang] ?? reading.ref,
+      title: reading.title ?? null,
+      text: text?.text ?? null,
+      translation: text?.reference ?? null,
+      verses: text?.verses || null,
+    };
+  });
+}
+
+/**
+ * The saints and commemorations of the day in `lang` (de, en, pl), highest rank first —
+ * empty for other languages and for days from before saints were added.
+ * @returns {Saint[]}
+ */
+export function getSaints(impulse, lang) {
+  return impulse?.saints?.[lang] ?? [];
+}
+
+/** The written reflection (`impuls`, `mitnahme`, `tieferReingehen`) in `lang` — only days that have one. */
+export function getReflection(impulse, lang) {
+  return impulse?.impulses?.[lang] ?? null;
+}
+
+/**
+ * The audio tracks of `lang` from an audio-status/<date>.json manifest, keyed by track (`gospel`,
+ * `lectio`). The manifests name files relative to the CDN folder of the day; `audioBaseUrl`
+ * (e.g. "https://cdn.example.org/lumen/{date}/") makes them absolute.
+ * @returns {Object<string, AudioTrack>|null}
+ */
+export function getAudio(manifest, lang, audioBaseUrl = '') {
+  const tracks = manifest?.audio?.[lang];
+  if (!tracks) return null;
+  const resolve = (url) => {
+    if (!url) return null;
+    try {
+      return new URL(url, audioBaseUrl ? audioBaseUrl.replaceAll('{date}', manifest.date) : undefined).href;
+    } catch {
+      return null;
+    }
+  };
+  return Object.fromEntries(Object.entries(tracks).map(([name, track]) => [name, {
+    url: resolve(track.url),
+    duration: track.duration,
+    size: track.size,
+    textHash: track.text_hash || null,
+    alignmentUrl: resolve(track.alignment_url),
+  }]));
+}
+
+// ── Storage ────────────────────────────────────────────────────────
+
+function defaultStorage() {
+  try {
+    return globalThis.localStorage ?? null; // throws in sandboxed frames
+  } catch {
+    return null;
+  }
+}
+
+/** Days on the device: `<prefix>day:<date>` per day and `<prefix>days`, the stored dates in order. */
+function createDayStore(storage, prefix, limit) {
+  const read = (key) => {
+    try {
+      return JSON.parse(storage.getItem(prefix + key));
+    } catch {
+      return null;
+    }
+  };
+  const dates = () => (storage && read('days')) || [];
+
+  return {
+    get(date) {
+      return storage && dates().includes(date) ? read(`day:${date}`) : null;
+    },
+    latest() {
+      const stored = dates();
+      return storage && stored.length > 0 ? read(`day:${stored[stored.length - 1]}`) : null;
+    },
+    put(impulse) {
+      if (!storage) return;
+      const stored = [...new Set([...dates(), impulse.date])].sort();
+      // Oldest out first; when the storage is full, make room and try once more
+      for (let attempt = 0; attempt < 2; attempt++) {
+        while (stored.length > (attempt === 0 ? limit : Math.ceil(limit / 2))) storage.removeItem(`${prefix}day:${stored.shift()}`);
+        if (!stored.includes(impulse.date)) return; // older than every day kept
+        try {
+          storage.setItem(`${prefix}day:${impulse.date}`, JSON.stringify(impulse));
+          storage.setItem(`${prefix}days`, JSON.stringify(stored));
+          return;
+        } catch {
+          // QuotaExceededError
+        }
+      }
+    },
+    clear() {
+      if (!storage) return;
+      for (const date of dates()) storage.removeItem(`${prefix}day:${date}`);
+      storage.removeItem(`${prefix}days`);
+    },
+  };
+}
+
+// ── Client ─────────────────────────────────────────────────────────
+
+/**
+ * A client for one deployment of the feed.
+ *
+ * Options: `baseUrl` (this repo's GitHub Pages), `audioBaseUrl` (see getAudio), `storage`
+ * (a Web Storage; defaults to localStorage where there is one, `null` keeps nothing on the
+ * device), `fetch`, `timeoutMs`, `maxAgeMs`, `storedDays`, `storagePrefix` and `includeDrafts`
+ * (days generated ahead that still await review are skipped unless set).
+ */
+export function createClient(options = {}) {
+  const config = { ...DEFAULTS, baseUrl: DEFAULT_BASE_URL, audioBaseUrl: '', fetch: globalThis.fetch, storage: defaultStorage(), ...options };
+  const baseUrl = config.baseUrl.replace(/\/+$/, '');
+  const memory = new Map(); // path → { at, data }
+  const store = createDayStore(config.storage, config.storagePrefix, config.storedDays);
+
+  /** A file of the feed: its JSON, or null when it doesn't exist. Throws when the feed can't be reached. */
+  async function get(path) {
+    const cached = memory.get(path);
+    if (cached && Date.now() - cached.at < config.maxAgeMs) return cached.data;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), config.timeoutMs);
+    let resp;
+    let data;
+    try {
+      resp = await config.fetch(`${baseUrl}/${path}`, { signal: controller.signal });
+      data = resp.status === 404 ? null : resp.ok ? await resp.json() : undefined;
+    } catch (err) {
+      throw new Error(`${path}: ${err.name === 'AbortError' ? `timeout after ${config.timeoutMs / 1000}s` : err.message}`);
+    } finally {
+      clearTimeout(timeout);
+    }
+    if (data === undefined) throw new Error(`${path}: HTTP ${resp.status}`);
+    memory.set(path, { at: Date.now(), data });
+    return data;
+  }
+
+  /** Check and keep a day; null for a draft the client doesn't show. */
+  function accept(impulse) {
+    if (!impulse) return null;
+    const version = schemaVersion(impulse);
+    if (version > SUPPORTED_SCHEMA_VERSION) {
+      throw new Error(`${impulse.date} follows schema v${version}; this client reads up to v${SUPPORTED_SCHEMA_VERSION} — update lumen-impulse.mjs`);
+    }
+    if (impulse.review?.status === 'draft' && !config.includeDrafts) return null;
+    store.put(impulse);
+    return impulse;
+  }
+
+  /** One day, or null when there is none. Offline, the stored copy of that day is used if there is one. */
+  async function day(date) {
+    let impulse;
+    try {
+      impulse = await get(`impulses/${date}.json`);
+    } catch (err) {
+      const stored = store.get(date);
+      if (stored) return stored;
+      throw err;
+    }
+    return accept(impulse);
+  }
+
+  /**
+   * Today's impulse: { date, impulse, fallback }. `fallback` is null for today's file, `latest`
+   * when today's isn't there (yet) and latest.json was used, and `cache` when the feed could not
+   * be reached and the most recent stored day was used. Throws when none of them has a day.
+   */
+  async function today() {
+    const date = berlinDate();
+    const errors = [];
+    try {
+      const impulse = await day(date);
+      if (impulse) return { date, impulse, fallback: null };
+    } catch (err) {
+      errors.push(err);
+    }
+    try {
+      const impulse = accept(await get('impulses/latest.json'));
+      if (impulse) return { date: impulse.date, impulse, fallback: 'latest' };
+    } catch (err) {
+      errors.push(err);
+    }
+    const stored = store.latest();
+    if (stored) return { date: stored.date, impulse: stored, fallback: 'cache' };
+    throw errors[0] || new Error('No impulse for today and none in latest.json');
+  }
+
+  /**
+   * Every day from `from` to `to` (inclusive) that exists, in order. Reads the monthly bundles
+   * (impulses/YYYY-MM.json) and falls back to the day files for a month without one.
+   */
+  async function range(from, to) {
+    if (from > to) return [];
+    const dates = datesBetween(from, to);
+    const months = [...new Set(dates.map((d) => d.slice(0, 7)))];
+    const impulses = [];
+    for (const month of months) {
+      const inMonth = dates.filter((d) => d.startsWith(month));
+      let bundle = null;
+      try {
+        bundle = await get(`impulses/${month}.json`);
+      } catch {
+        // offline or failing — the day files (or their stored copies) may still be there
+      }
+      if (bundle) {
+        impulses.push(...inMonth.map((d) => accept(bundle.days[d] || null)));
+        // Bundles carry approved days only; drafts are listed and read from their day files
+        if (config.includeDrafts) {
+          for (const d of (bundle.drafts || []).filter((date) => inMonth.includes(date))) {
+            try {
+              impulses.push(await day(d));
+            } catch {
+              // a single unreachable day doesn't fail the range
+            }
+          }
+        }
+        continue;
+      }
+      for (const d of inMonth) {
+        try {
+          impulses.push(await day(d));
+        } catch {
+          // a single unreachable day doesn't fail the range
+        }
+      }
+    }
+    return impulses.filter(Boolean).sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /** The audio manifest of a day (audio-status/<date>.json), or null when no audio was made. */
+  function audioManifest(date) {
+    return get(`audio-status/${date}.json`);
+  }
+
+  /** The audio tracks of one language on a day, with absolute URLs where `audioBaseUrl` allows. */
+  async function audio(date, lang) {
+    return getAudio(await audioManifest(date), lang, config.audioBaseUrl);
+  }
+
+  return {
+    baseUrl,
+    get,
+    day,
+    today,
+    range,
+    audio,
+    audioManifest,
+    /** languages.json — the language registry. */
+    registry: () => get('languages.json'),
+    /** impulses/index.json — every date with its reference, completeness and audio tracks. */
+    index: () => get('impulses/index.json'),
+    /** Forget everything fetched, in memory and on the device. */
+    clearCache() {
+      memory.clear();
+      store.clear();
+    },
+  };
+}
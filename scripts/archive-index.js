@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Archive index — derived files so clients don't fetch one file per day:
+ *
+ *   impulses/index.json     every date: Gospel reference, passage key, per-language completeness, audio tracks
+ *   impulses/YYYY-MM.json   monthly bundle: { month, days: { "YYYY-MM-DD": <impulse> }, drafts: [dates] }
+ *   impulses/passages.json  reverse lookup: passage key → reference and the dates it was read
+ *
+ * Only approved days are indexed and bundled; a bundle lists the dates of its drafts, nothing more.
+ * No timestamps: the files are committed, so a rebuild of an unchanged archive must not change them.
+ * The generator calls updateArchiveIndex(date) after writing a day; the CLI rebuilds everything.
+ *
+ * Usage: node scripts/archive-index.js               # full rebuild
+ *        node scripts/archive-index.js --date YYYY-MM-DD
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isApproved } = require('./overrides');
+const { referenceKey } = require('./references');
+const { readJson } = require('./shared');
+
+const ROOT = path.join(__dirname, '..');
+const IMPULSES_DIR = path.join(ROOT, 'impulses');
+const AUDIO_STATUS_DIR = path.join(ROOT, 'audio-status');
+const INDEX_PATH = path.join(IMPULSES_DIR, 'index.json');
+const PASSAGES_PATH = path.join(IMPULSES_DIR, 'passages.json');
+const LANGUAGE_REGISTRY = require('../languages.json').languages;
+const DATED_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+function writeJson(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+/** All dated impulse files, sorted. Unreadable ones are skipped (validate-archive.js reports them). */
+function listDates() {
+  return fs.readdirSync(IMPULSES_DIR)
+    .map((name) => name.match(DATED_FILE)?.[1])
+    .filter(Boolean)
+    .sort();
+}
+
+function readImpulse(isoDate) {
+  return readJson(path.join(IMPULSES_DIR, `${isoDate}.json`));
+}
+
+/** The day when it is approved — drafts stay out of every derived file. */
+function readApprovedImpulse(isoDate) {
+  const impulse = readImpulse(isoDate);
+  return impulse && isApproved(impulse) ? impulse : null;
+}
+
+/** { de: ['gospel', 'lectio'], ... } from audio-status/<date>.json, or null when there is none. */
+function readAudioTracks(isoDate) {
+  try {
+    const manifest = readJson(path.join(AUDIO_STATUS_DIR, `${isoDate}.json`));
+    return Object.fromEntries(Object.entries(manifest.audio || {}).map(([lang, tracks]) => [lang, Object.keys(tracks || {})]));
+  } catch {
+    return null;
+  }
+}
+
+/** The index entry of one day. */
+function indexEntry(isoDate, impulse) {
+  const languages = {};
+  for (const { code, since } of LANGUAGE_REGISTRY) {
+    if (since <= isoDate) languages[code] = !!impulse.gospelTexts?.[code]?.text;
+  }
+  return {
+    gospelRef: impulse.gospelRef || null,
+    gospelRefOriginal: impulse.gospelRefOriginal || null,
+    passage: impulse.gospelRefOriginal ? referenceKey(impulse.gospelRefOriginal) : null,
+    celebration: impulse.liturgy?.celebration?.names || null,
+    languages,
+    complete: Object.values(languages).every(Boolean),
+    audio: readAudioTracks(isoDate),
+  };
+}
+
+/** Rewrite impulses/YYYY-MM.json from the dated files of that month. */
+function writeMonthBundle(month, dates) {
+  const days = {};
+  const drafts = [];
+  for (const date of dates.filter((d) => d.startsWith(month))) {
+    const impulse = readImpulse(date);
+    if (impulse && isApproved(impulse)) days[date] = impulse;
+    else if (impulse) drafts.push(date);
+  }
+  writeJson(path.join(IMPULSES_DIR, `${month}.json`), { month, days, drafts });
+}
+
+function buildPassages(days) {
+  const passages = {};
+  for (const [date, entry] of Object.entries(days)) {
+    if (!entry.passage) continue;
+    passages[entry.passage] ||= { reference: entry.gospelRefOriginal, dates: [] };
+    passages[entry.passage].dates.push(date);
+  }
+  for (const passage of Object.values(passages)) passage.dates.sort();
+  return passages;
+}
+
+function writeIndex(days) {
+  const dates = Object.keys(days).sort();
+  const sortedDays = Object.fromEntries(dates.map((d) => [d, days[d]]));
+  writeJson(INDEX_PATH, {
+    first: dates[0] || null,
+    last: dates[dates.length - 1] || null,
+    months: [...new Set(dates.map((d) => d.slice(0, 7)))],
+    days: sortedDays,
+  });
+  writeJson(PASSAGES_PATH, { passages: buildPassages(sortedDays) });
+}
+
+/** Rebuild index, passages and every monthly bundle from the archive. */
+function rebuildArchiveIndex() {
+  const dates = listDates();
+  const days = {};
+  for (const date of dates) {
+    const impulse = readApprovedImpulse(date);
+    if (impulse) days[date] = indexEntry(date, impulse);
+  }
+  for (const month of new Set(dates.map((d) => d.slice(0, 7)))) writeMonthBundle(month, dates);
+  writeIndex(days);
+  console.log(`✅ Archive index rebuilt: ${Object.keys(days).length} days`);
+}
+
+/**
+ * Bring the index up to date after `isoDate` was written: that day's entry, its month bundle,
+ * the passage lookup — and the audio tracks of every day, since the audio sidecar runs later.
+ */
+function updateArchiveIndex(isoDate) {
+  const index = readJson(INDEX_PATH);
+  if (!index) return rebuildArchiveIndex();
+  const days = index.days || {};
+  const impulse = readApprovedImpulse(isoDate);
+  if (impulse) days[isoDate] = indexEntry(isoDate, impulse);
+  else delete days[isoDate];
+
+  for (const date of Object.keys(days)) days[date].audio = readAudioTracks(date);
+
+  writeMonthBundle(isoDate.slice(0, 7), listDates());
+  writeIndex(days);
+  console.log(`✅ Archive index updated: ${isoDate}`);
+}
+
+module.exports = { rebuildArchiveIndex, updateArchiveIndex };
+
+if (require.main === module) {
+  const dateIndex = process.argv.indexOf('--date');
+  if (dateIndex === -1) {
+    rebuildArchiveIndex();
+  } else {
+    const isoDate = process.argv[dateIndex + 1];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(isoDate || '')) {
+      console.error('❌ --date needs a YYYY-MM-DD date');
+      process.exit(2);
+    }
+    updateArchiveIndex(isoDate);
+  }
+}
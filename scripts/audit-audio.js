@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Audio auditor — checks audio-status/*.json against the impulse it was narrated from.
+ *
+ * Errors (exit 1): a track's text_hash differs from the current text (stale audio after a
+ *                  regeneration), a lectio track without alignment_url/original_text_url,
+ *                  a zero duration, an artifact the CDN does not serve (--remote).
+ * Warnings:        implausible duration for the word count, audio for a day without text,
+ *                  tracks without text_hash (built before fingerprints). --strict turns them into errors.
+ *
+ * Only the Gospel tracks (gospel, lectio) are checked; the reflection tracks of files up to
+ * 2026-06-01 were not made from the Gospel text.
+ *
+ * Usage: node scripts/audit-audio.js [--date YYYY-MM-DD] [--remote] [--strict]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { textHash } = require('./content-hash');
+const { resolveAudioUrl } = require('./feeds');
+const { request } = require('./http');
+const { readJson } = require('./shared');
+
+// ── Configuration ──────────────────────────────────────────────────
+const ROOT = path.join(__dirname, '..');
+const IMPULSES_DIR = path.join(ROOT, 'impulses');
+const AUDIO_STATUS_DIR = path.join(ROOT, 'audio-status');
+const DATED_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+const TEXT_TRACKS = ['gospel', 'lectio'];
+const LECTIO_ARTIFACTS = ['alignment_url', 'original_text_url'];
+// Narration speed in words per minute; the archive ranges from ~85 (pl lectio) to ~175 (de gospel)
+const PLAUSIBLE_WPM = { min: 80, max: 190 };
+const FETCH_TIMEOUT_MS = 10000;
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/** The hash the audio of `lang` should carry: the stored one, or computed for files from before textHash. */
+function expectedHash(impulse, lang) {
+  const gospel = impulse?.gospelTexts?.[lang];
+  if (!gospel?.text) return null;
+  return gospel.textHash || textHash(gospel.text);
+}
+
+// ── Checks ─────────────────────────────────────────────────────────
+
+/**
+ * Audit one day: { findings: [{ level, file, message }], unhashed } — `unhashed` counts the tracks
+ * without text_hash. A day without manifest has nothing to audit.
+ */
+function auditDay(isoDate) {
+  const findings = [];
+  let unhashed = 0;
+  const file = `audio-status/${isoDate}.json`;
+  const add = (level, message) => findings.push({ level, file, message });
+
+  const manifest = readJson(path.join(AUDIO_STATUS_DIR, `${isoDate}.json`));
+  if (!manifest) return { findings, unhashed };
+  const impulse = readJson(path.join(IMPULSES_DIR, `${isoDate}.json`));
+  if (!impulse) {
+    add('warning', 'no impulse file to compare with');
+    return { findings, unhashed };
+  }
+
+  for (const [lang, tracks] of Object.entries(manifest.audio || {})) {
+    const gospel = impulse.gospelTexts?.[lang];
+    for (const [name, track] of Object.entries(tracks || {})) {
+      if (!TEXT_TRACKS.includes(name)) continue;
+      const label = `${lang}/${name}`;
+
+      if (!gospel?.text) {
+        add('warning', `${label}: audio for a day without ${lang} text`);
+        continue;
+      }
+
+      const expected = expectedHash(impulse, lang);
+      if (!track.text_hash) {
+        unhashed++;
+      } else if (track.text_hash !== expected) {
+        add('error', `${label}: stale — narrated from ${track.text_hash.slice(0, 19)}…, current text is ${expected.slice(0, 19)}…`);
+      }
+
+      if (name === 'lectio') {
+        const missing = LECTIO_ARTIFACTS.filter((key) => !track[key]);
+        if (missing.length > 0) add('error', `${label}: missing ${missing.join(', ')}`);
+      }
+
+      const words = wordCount(gospel.text);
+      if (!(track.duration > 0)) {
+        add('error', `${label}: duration ${track.duration}`);
+      } else {
+        const wpm = Math.round((words / track.duration) * 60);
+        if (wpm < PLAUSIBLE_WPM.min || wpm > PLAUSIBLE_WPM.max) {
+          add('warning', `${label}: ${track.duration} s for ${words} words (${wpm} words/min, expected ${PLAUSIBLE_WPM.min}–${PLAUSIBLE_WPM.max})`);
+        }
+      }
+    }
+  }
+  return { findings, unhashed };
+}
+
+/** HEAD every file a manifest names; unreachable ones become errors. */
+async function auditRemote(isoDate) {
+  const findings = [];
+  const file = `audio-status/${isoDate}.json`;
+  const manifest = readJson(path.join(AUDIO_STATUS_DIR, `${isoDate}.json`));
+
+  for (const [lang, tracks] of Object.entries(manifest?.audio || {})) {
+    for (const [name, track] of Object.entries(tracks || {})) {
+      for (const key of ['url', ...LECTIO_ARTIFACTS]) {
+        if (!track[key]) continue;
+        const url = resolveAudioUrl(track[key], isoDate);
+        if (!url) {
+          findings.push({ level: 'error', file, message: `${lang}/${name}: ${key} "${track[key]}" is relative — set AUDIO_BASE_URL` });
+          continue;
+        }
+        try {
+          const resp = await request(url, { method: 'HEAD', timeoutMs: FETCH_TIMEOUT_MS });
+          if (!resp.ok) findings.push({ level: 'error', file, message: `${lang}/${name}: ${key} → HTTP ${resp.status} (${url})` });
+        } catch (err) {
+          findings.push({ level: 'error', file, message: `${lang}/${name}: ${key} unreachable (${err.message})` });
+        }
+      }
+    }
+  }
+  return findings;
+}
+
+async function auditAudio({ dates = null, remote = false } = {}) {
+  const all = fs.existsSync(AUDIO_STATUS_DIR)
+    ? fs.readdirSync(AUDIO_STATUS_DIR).map((name) => name.match(DATED_FILE)?.[1]).filter(Boolean).sort()
+    : [];
+  const findings = [];
+  const unhashedDays = [];
+  for (const date of dates || all) {
+    const day = auditDay(date);
+    findings.push(...day.findings);
+    if (day.unhashed > 0) unhashedDays.push(date);
+    if (remote) findings.push(...(await auditRemote(date)));
+  }
+  // One line instead of one per day — every manifest from before fingerprints lacks them
+  if (unhashedDays.length > 0) {
+    const range = unhashedDays.length === 1 ? unhashedDays[0] : `${unhashedDays[0]} … ${unhashedDays[unhashedDays.length - 1]}`;
+    findings.push({ level: 'warning', file: 'audio-status', message: `${unhashedDays.length} manifest(s) without text_hash (${range}) — cannot prove their audio matches the text` });
+  }
+  return findings;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const remote = args.includes('--remote');
+  const dateIndex = args.indexOf('--date');
+  const date = dateIndex !== -1 ? args[dateIndex + 1] : null;
+  if (dateIndex !== -1 && !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    console.error('❌ --date needs a YYYY-MM-DD date');
+    process.exit(2);
+  }
+
+  const findings = await auditAudio({ dates: date ? [date] : null, remote });
+  const errors = findings.filter((f) => f.level === 'error');
+  const warnings = findings.filter((f) => f.level === 'warning');
+
+  for (const f of findings) {
+    console.log(`${f.level === 'error' ? '❌' : '⚠️'} ${f.file}: ${f.message}`);
+  }
+  console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+
+  if (errors.length > 0 || (strict && warnings.length > 0)) process.exit(1);
+  console.log('✅ Audio consistent with the texts');
+}
+
+module.exports = { auditAudio, auditDay };
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+
+/**
+ * Local verse store — the public-domain translations of BOLLS_VERSIONS on disk.
+ *
+ * The generator reads chapters from here first and only asks Bolls.life when
+ * a chapter is not stored (or its checksum does not match the manifest).
+ *
+ * Layout:
+ *   bible/manifest.json            { formatVersion, translations: { ELB: { name, source, builtAt, books: { "40": { file, sha256, chapters, verses } } } } }
+ *   bible/<TRANSLATION>/<book>.json { "<chapter>": [{ "verse": 1, "text": "..." }, ...] } — Bolls.life get-text shape, text untouched
+ *
+ * Usage:
+ *   node scripts/bible-store.js build ELB --export ELB.json   # from a Bolls.life translation export
+ *   node scripts/bible-store.js build ELB [--books 40-43]     # chapter by chapter from the Bolls.life API
+ *   node scripts/bible-store.js build --missing [--chapters N] # what the store lacks, N chapters at most (CI)
+ *   node scripts/bible-store.js verify [ELB KJV BG]           # recompute checksums and verse counts
+ *   node scripts/bible-store.js list
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CANON, bollsNumber } = require('./canon');
+const { request } = require('./http');
+
+// ── Configuration ──────────────────────────────────────────────────
+const BIBLE_DIR = path.join(__dirname, '..', 'bible');
+const MANIFEST_PATH = path.join(BIBLE_DIR, 'manifest.json');
+const FORMAT_VERSION = 1;
+const BOLLS_API_BASE = 'https://bolls.life';
+const FETCH_TIMEOUT_MS = 30000;
+const CHAPTER_BUDGET = 400; // chapters per `build --missing` run — a daily job fills the store over a few days
+const GOSPELS = ['matthew', 'mark', 'luke', 'john']; // built first: every day reads one
+
+// Every translation of languages.json, deuterocanon fallbacks included
+const TRANSLATION_NAMES = Object.fromEntries(require('../languages.json').languages.flatMap(({ bible }) => [
+  [bible.id, bible.name],
+  ...(bible.deuterocanon ? [[bible.deuterocanon.id, bible.deuterocanon.name]] : []),
+]));
+
+// ── Manifest & checksums ───────────────────────────────────────────
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function readManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) return { formatVersion: FORMAT_VERSION, translations: {} };
+  return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+}
+
+function writeManifest(manifest) {
+  fs.mkdirSync(BIBLE_DIR, { recursive: true });
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+}
+
+// ── Reading (used by the generator) ────────────────────────────────
+
+let manifestCache = null;
+const bookCache = new Map(); // "ELB/40" → { "<chapter>": verses } | null
+
+/**
+ * Load one book of a translation, or null when it is not stored or fails its checksum.
+ * A corrupted file is reported once and then treated as absent — Bolls.life takes over.
+ */
+function loadBook(translation, bookNumber) {
+  const key = `${translation}/${bookNumber}`;
+  if (bookCache.has(key)) return bookCache.get(key);
+
+  let book = null;
+  try {
+    if (!manifestCache) manifestCache = readManifest();
+    const entry = manifestCache.translations[translation]?.books?.[String(bookNumber)];
+    if (entry) {
+      const content = fs.readFileSync(path.join(BIBLE_DIR, entry.file), 'utf-8');
+      if (sha256(content) === entry.sha256) {
+        book = JSON.parse(content);
+      } else {
+        console.warn(`  ⚠️ Verse store: checksum mismatch for ${entry.file} — ignoring it`);
+      }
+    }
+  } catch (err) {
+    console.warn(`  ⚠️ Verse store: could not read ${key}: ${err.message}`);
+  }
+
+  bookCache.set(key, book);
+  return book;
+}
+
+/** Verses of one chapter as Bolls.life returns them ([{ verse, text }]), or null when not stored. */
+function readStoredChapter(translation, bookNumber, chapter) {
+  const verses = loadBook(translation, bookNumber)?.[String(chapter)];
+  return Array.isArray(verses) && verses.length > 0 ? verses : null;
+}
+
+// ── Building ───────────────────────────────────────────────────────
+
+/** Write one book file and return its manifest entry. */
+function writeBook(translation, bookNumber, chapters) {
+  const sorted = {};
+  for (const chapter of Object.keys(chapters).map(Number).sort((a, b) => a - b)) {
+    sorted[chapter] = chapters[chapter]
+      .map((v) => ({ verse: v.verse, text: v.text }))
+      .sort((a, b) => a.verse - b.verse);
+  }
+
+  const file = `${translation}/${bookNumber}.json`;
+  const content = JSON.stringify(sorted) + '\n';
+  fs.mkdirSync(path.join(BIBLE_DIR, translation), { recursive: true });
+  fs.writeFileSync(path.join(BIBLE_DIR, file), content, 'utf-8');
+
+  return {
+    file,
+    sha256: sha256(content),
+    chapters: Object.keys(sorted).length,
+    verses: Object.values(sorted).reduce((sum, verses) => sum + verses.length, 0),
+  };
+}
+
+function recordTranslation(translation, source, books) {
+  const manifest = readManifest();
+  const previous = manifest.translations[translation]?.books || {};
+  manifest.translations[translation] = {
+    name: TRANSLATION_NAMES[translation] || translation,
+    source,
+    builtAt: new Date().toISOString(),
+    books: { ...previous, ...books },
+  };
+  writeManifest(manifest);
+}
+
+/**
+ * Build a translation from a Bolls.life export — the JSON array inside
+ * https://bolls.life/static/translations/<TRANSLATION>.zip: [{ book, chapter, verse, text }, ...]
+ */
+function buildFromExport(translation, exportPath) {
+  const rows = JSON.parse(fs.readFileSync(exportPath, 'utf-8'));
+  if (!Array.isArray(rows) || rows.length === 0) throw new Error(`${exportPath} is not a Bolls.life export`);
+
+  const byBook = new Map();
+  for (const row of rows) {
+    if (row.translation && row.translation !== translation) continue;
+    if (!byBook.has(row.book)) byBook.set(row.book, {});
+    const chapters = byBook.get(row.book);
+    (chapters[row.chapter] ||= []).push(row);
+  }
+  if (byBook.size === 0) throw new Error(`${exportPath} has no verses for ${translation}`);
+
+  const books = {};
+  for (const [bookNumber, chapters] of byBook) {
+    books[bookNumber] = writeBook(translation, bookNumber, chapters);
+  }
+  recordTranslation(translation, `bolls.life export ${path.basename(exportPath)}`, books);
+  console.log(`✅ ${translation}: ${byBook.size} books written from ${exportPath}`);
+}
+
+async function fetchJson(url) {
+  const resp = await request(url, { timeoutMs: FETCH_TIMEOUT_MS });
+  if (!resp.ok) throw new Error(`${url}: ${resp.status}`);
+  return JSON.parse(resp.body);
+}
+
+/**
+ * Build a translation (or some of its books, in the order given) chapter by chapter from the
+ * Bolls.life API. Each book is recorded as soon as it is written, so an interrupted build keeps
+ * what it has. Stops before a book that would take it past `maxChapters`; returns the chapters fetched
+ * and the number of books left unwritten.
+ */
+async function buildFromBolls(translation, bookFilter = null, maxChapters = Infinity) {
+  const bookList = await fetchJson(`${BOLLS_API_BASE}/get-books/${translation}/`);
+  const wanted = bookFilter
+    ? bookFilter.map((bookid) => bookList.find((b) => b.bookid === bookid)).filter(Boolean)
+    : bookList;
+
+  let fetched = 0;
+  let written = 0;
+  for (const { bookid, chapters: chapterCount, name } of wanted) {
+    if (fetched + chapterCount > maxChapters) break;
+    const chapters = {};
+    for (let chapter = 1; chapter <= chapterCount; chapter++) {
+      chapters[chapter] = await fetchJson(`${BOLLS_API_BASE}/get-text/${translation}/${bookid}/${chapter}/`);
+    }
+    fetched += chapterCount;
+    const book = writeBook(translation, bookid, chapters);
+    recordTranslation(translation, `${BOLLS_API_BASE}/get-text`, { [bookid]: book });
+    written++;
+    console.log(`  📖 ${translation} ${bookid} ${name}: ${book.verses} verses`);
+  }
+  if (wanted.length === 0) console.log(`✅ ${translation}: Bolls.life serves none of the books asked for`);
+  else console.log(`✅ ${translation}: ${written} of ${wanted.length} book(s) written from Bolls.life`);
+  return { fetched, remaining: wanted.length - written };
+}
+
+/**
+ * The books each translation of languages.json is read for, as Bolls.life numbers, the Gospels
+ * first: a language's translation every book, its `deuterocanon` fallback the seven it supplies.
+ */
+function plannedBooks() {
+  const ordered = [...CANON.filter((b) => GOSPELS.includes(b.key)), ...CANON.filter((b) => !GOSPELS.includes(b.key))];
+  const plan = new Map(); // translation → [bolls book number]
+  for (const { bible } of require('../languages.json').languages) {
+    plan.set(bible.id, ordered.map((b) => bollsNumber(b, bible.id)));
+    if (bible.deuterocanon) {
+      plan.set(bible.deuterocanon.id, ordered.filter((b) => b.deuterocanonical).map((b) => bollsNumber(b, bible.deuterocanon.id)));
+    }
+  }
+  return plan;
+}
+
+/**
+ * Build the books the store still lacks (books a translation doesn't have are skipped by Bolls.life's
+ * book list), at most `maxChapters` chapters — run it again to continue.
+ */
+async function buildMissing(maxChapters = CHAPTER_BUDGET) {
+  let budget = maxChapters;
+  for (const [translation, books] of plannedBooks()) {
+    const stored = readManifest().translations[translation]?.books || {};
+    const missing = books.filter((bookid) => !stored[String(bookid)]);
+    if (missing.length === 0) continue;
+    if (budget <= 0) {
+      console.log(`⏸️ Chapter budget used up — ${translation} and later translations continue on the next run`);
+      return;
+    }
+    const { fetched, remaining } = await buildFromBolls(translation, missing, budget);
+    budget -= fetched;
+    if (remaining > 0) {
+      console.log(`⏸️ Chapter budget used up — ${remaining} book(s) of ${translation} and later translations continue on the next run`);
+      return;
+    }
+  }
+  console.log('✅ Verse store complete for every translation of languages.json');
+}
+
+// ── Verification ───────────────────────────────────────────────────
+
+/** Recompute every checksum and count. Returns a list of problems (empty = store is intact). */
+function verifyStore(translations = null) {
+  const manifest = readManifest();
+  const problems = [];
+  const ids = translations || Object.keys(manifest.translations);
+
+  for (const translation of ids) {
+    const entry = manifest.translations[translation];
+    if (!entry) {
+      problems.push(`${translation}: not in manifest`);
+      continue;
+    }
+    for (const [bookNumber, book] of Object.entries(entry.books)) {
+      const file = path.join(BIBLE_DIR, book.file);
+      if (!fs.existsSync(file)) {
+        problems.push(`${book.file}: missing`);
+        continue;
+      }
+      const content = fs.readFileSync(file, 'utf-8');
+      if (sha256(content) !== book.sha256) {
+        problems.push(`${book.file}: checksum mismatch`);
+        continue;
+      }
+      const chapters = JSON.parse(content);
+      const verses = Object.values(chapters).reduce((sum, v) => sum + v.length, 0);
+      if (Object.keys(chapters).length !== book.chapters || verses !== book.verses) {
+        problems.push(`${translation} ${bookNumber}: counts differ from manifest`);
+      }
+    }
+  }
+  return problems;
+}
+
+// ── Command line ───────────────────────────────────────────────────
+
+/** "40-43,45" → [40, 41, 42, 43, 45] */
+function parseBookList(spec) {
+  return spec.split(',').flatMap((part) => {
+    const [from, to] = part.split('-').map(Number);
+    return Array.from({ length: (to || from) - from + 1 }, (_, i) => from + i);
+  });
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'build') {
+    const translation = args[0];
+    const exportIndex = args.indexOf('--export');
+    const booksIndex = args.indexOf('--books');
+    const chaptersIndex = args.indexOf('--chapters');
+    if (translation === '--missing') {
+      const maxChapters = chaptersIndex !== -1 ? Number(args[chaptersIndex + 1]) : undefined;
+      if (maxChapters !== undefined && !(Number.isInteger(maxChapters) && maxChapters > 0)) throw new Error('--chapters needs a positive number');
+      await buildMissing(maxChapters);
+    } else if (!translation || translation.startsWith('--')) {
+      throw new Error('build needs a translation id (ELB, KJV, BG) or --missing');
+    } else if (exportIndex !== -1) {
+      if (!args[exportIndex + 1]) throw new Error('--export needs the path of the export JSON');
+      buildFromExport(translation, args[exportIndex + 1]);
+    } else {
+      await buildFromBolls(translation, booksIndex !== -1 ? parseBookList(args[booksIndex + 1]) : null);
+    }
+  } else if (command === 'verify') {
+    const problems = verifyStore(args.length > 0 ? args : null);
+    for (const problem of problems) console.error(`❌ ${problem}`);
+    if (problems.length > 0) process.exit(1);
+    console.log('✅ Verse store intact');
+  } else if (command === 'list') {
+    const { translations } = readManifest();
+    if (Object.keys(translations).length === 0) console.log('(verse store is empty)');
+    for (const [id, t] of Object.entries(translations)) {
+      const verses = Object.values(t.books).reduce((sum, b) => sum + b.verses, 0);
+      console.log(`${id}  ${t.name}  ${Object.keys(t.books).length} books, ${verses} verses  (${t.source}, ${t.builtAt})`);
+    }
+  } else {
+    console.log('Usage: node scripts/bible-store.js build <TRANSLATION> [--export FILE | --books 40-43]');
+    console.log('       node scripts/bible-store.js build --missing [--chapters N]');
+    console.log('       node scripts/bible-store.js verify [TRANSLATION ...]');
+    console.log('       node scripts/bible-store.js list');
+    if (command) process.exit(2);
+  }
+}
+
+module.exports = { readStoredChapter, verifyStore };
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌', err.message);
+    process.exit(1);
+  });
+}
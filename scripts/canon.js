@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Canon registry — the 73 books of canon.json: which book a name or abbreviation means, its
+ * Bolls.life number, and how each language names it.
+ *
+ *   findBook("Sir") / findBook("Syr") / findBook("Ecclesiasticus")   → the sirach entry
+ *   splitReference("1 Kor 13,4-13")   → { book: <1-corinthians>, versePart: "13,4-13" }
+ *   localizeReference("Acts 4:32-37", "de")   → "Apostelgeschichte 4,32-37"
+ *
+ * `verify` compares the Bolls.life book numbers with the books each translation of
+ * languages.json actually serves (needs the network).
+ *
+ * Usage: node scripts/canon.js verify [TRANSLATION ...]
+ */
+
+const { request } = require('./http');
+
+// ── Configuration ──────────────────────────────────────────────────
+const CANON = require('../canon.json').books;
+const LANGUAGE_REGISTRY = require('../languages.json').languages;
+const BOLLS_API_BASE = 'https://bolls.life';
+
+/** "1. Kor." → "1 kor", "Łk" → "łk", "List św. Jakuba" → "list św jakuba" */
+function normalizeBookName(name) {
+  return name.toLowerCase().replace(/\./g, ' ').replace(/^([1-3])\s*/, '$1 ').replace(/\s+/g, ' ').trim();
+}
+
+// Every spelling → its book; a spelling that two books claim is a registry error
+const BOOK_BY_NAME = new Map();
+for (const book of CANON) {
+  const spellings = [book.key.replace(/-/g, ' '), ...Object.values(book.names), ...Object.values(book.abbreviations), ...(book.aliases || [])];
+  for (const spelling of spellings.map(normalizeBookName)) {
+    const claimed = BOOK_BY_NAME.get(spelling);
+    if (claimed && claimed !== book) throw new Error(`canon.json: "${spelling}" names both ${claimed.key} and ${book.key}`);
+    BOOK_BY_NAME.set(spelling, book);
+  }
+}
+
+// ── Lookup ─────────────────────────────────────────────────────────
+
+/** The canon entry a book name or abbreviation in any registered language means, or null. */
+function findBook(name) {
+  return BOOK_BY_NAME.get(normalizeBookName(name)) || null;
+}
+
+/** The Bolls.life book number of `book` in `translation` (`bollsByTranslation` where it differs). */
+function bollsNumber(book, translation) {
+  return book.bollsByTranslation?.[translation] ?? book.bolls;
+}
+
+/** Display name of `book` in `lang`, English for a language canon.json does not name. */
+function bookName(book, lang) {
+  return book.names[lang] || book.names.en;
+}
+
+/**
+ * Split a reference into its book and verse part: "1 Kor 13,4-13", "Łk 1, 39-56", "Song of Songs 2:8-14".
+ * Returns { book, versePart } or null when there is no verse part or the book is unknown.
+ */
+function splitReference(reference) {
+  const normalized = reference.replace(/\s+/g, ' ').trim().replace(/\.$/, '');
+  const match = normalized.match(/^((?:[1-3]\.?\s?)?\p{L}[\p{L} .]*?)\.?\s*(\d.*)$/u);
+  if (!match) return null;
+  const book = findBook(match[1]);
+  return book ? { book, versePart: match[2].trim() } : null;
+}
+
+/** "Acts 4:32-37" in `lang`: "Apostelgeschichte 4,32-37". Unknown books are left as they are. */
+function localizeReference(reference, lang) {
+  const split = splitReference(reference);
+  if (!split) return reference.replace(/\s+/g, ' ').trim();
+  return `${bookName(split.book, lang)} ${split.versePart.replace(/:/g, ',')}`;
+}
+
+/** The reference with its book in English, the form the sources and the generator log use: "Łk 1,39-56" → "Luke 1,39-56". */
+function englishReference(reference) {
+  const split = splitReference(reference);
+  return split ? `${split.book.names.en} ${split.versePart}` : reference;
+}
+
+// ── Verification ───────────────────────────────────────────────────
+
+/**
+ * Compare canon.json with the books Bolls.life lists for `translation`. A number that is missing or
+ * served under the name of another book is a problem; a name canon.json does not know (Bolls.life
+ * names books in the translation's language) cannot be checked. Returns { problems, unchecked }.
+ */
+async function verifyTranslation(translation, books) {
+  const resp = await request(`${BOLLS_API_BASE}/get-books/${translation}/`);
+  if (!resp.ok) return { problems: [`${translation}: Bolls.life answered ${resp.status}`], unchecked: [] };
+  const served = new Map(JSON.parse(resp.body).map((b) => [b.bookid, b.name]));
+
+  const problems = [];
+  const unchecked = [];
+  for (const book of books) {
+    const number = bollsNumber(book, translation);
+    const name = served.get(number);
+    const named = name ? findBook(name) : null;
+    if (!name) problems.push(`${translation}: no book ${number} (${book.names.en})`);
+    else if (named && named !== book) problems.push(`${translation}: book ${number} is "${name}", canon.json says ${book.names.en}`);
+    else if (!named) unchecked.push(`${number} "${name}" (${book.names.en})`);
+  }
+  return { problems, unchecked };
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (command !== 'verify') {
+    console.log('Usage: node scripts/canon.js verify [TRANSLATION ...]');
+    if (command) process.exit(2);
+    return;
+  }
+
+  // A language's translation serves the protocanonical books; the seven deuterocanonical ones come
+  // from its `deuterocanon` fallback when it has one, and are only looked for otherwise
+  const plan = new Map(); // translation → { books, optional }
+  for (const { bible } of LANGUAGE_REGISTRY) {
+    plan.set(bible.id, { books: CANON.filter((b) => !b.deuterocanonical), optional: bible.deuterocanon ? [] : CANON.filter((b) => b.deuterocanonical) });
+    if (bible.deuterocanon) plan.set(bible.deuterocanon.id, { books: CANON.filter((b) => b.deuterocanonical), optional: [] });
+  }
+  const translations = args.length > 0 ? args : [...plan.keys()];
+
+  let failed = 0;
+  for (const translation of translations) {
+    const { books, optional } = plan.get(translation) || { books: CANON, optional: [] };
+    const { problems, unchecked } = await verifyTranslation(translation, books);
+    for (const problem of problems) console.error(`❌ ${problem}`);
+    if (problems.length === 0) console.log(`✅ ${translation}: ${books.length} book(s) where canon.json expects them`);
+    else failed++;
+    if (unchecked.length > 0) console.log(`   names to check by hand: ${unchecked.join(', ')}`);
+    if (optional.length > 0) {
+      const missing = (await verifyTranslation(translation, optional)).problems.length;
+      if (missing > 0) console.warn(`⚠️ ${translation}: ${missing} of ${optional.length} deuterocanonical book(s) missing and no fallback — their readings stay null`);
+    }
+  }
+  if (failed > 0) process.exit(1);
+}
+
+module.exports = { CANON, bollsNumber, bookName, englishReference, findBook, localizeReference, splitReference };
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌', err.message);
+    process.exit(1);
+  });
+}
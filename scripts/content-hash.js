@@ -0,0 +1,20 @@
+/**
+ * Content fingerprints — tie the audio to the text it was made from.
+ *
+ * textHash(text) is "sha256:" + the hex digest of the text after Unicode NFC normalisation,
+ * with whitespace runs collapsed and ends trimmed, so re-serialising the JSON does not change it.
+ * The generator writes it as gospelTexts.<lang>.textHash; the audio sidecar copies the hash of
+ * the text it narrated into every track of audio-status/<date>.json as `text_hash`.
+ */
+
+const crypto = require('crypto');
+
+function normalizeText(text) {
+  return String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function textHash(text) {
+  return `sha256:${crypto.createHash('sha256').update(normalizeText(text), 'utf-8').digest('hex')}`;
+}
+
+module.exports = { normalizeText, textHash };
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+/**
+ * Syndication — per-language feeds of the daily Gospel for parishes and newsletter tools:
+ *
+ *   feeds/<lang>/rss.xml      RSS 2.0
+ *   feeds/<lang>/atom.xml     Atom
+ *   feeds/<lang>/feed.json    JSON Feed 1.1
+ *   feeds/<lang>/gospel.ics   iCalendar, one all-day event per day (including approved days generated ahead)
+ *
+ * RSS, Atom and JSON Feed carry the last FEED_DAYS days up to today. Drafts are left out. The audio from
+ * audio-status/<date>.json is attached when the track URL can be resolved (see AUDIO_BASE_URL).
+ *
+ * Usage: node scripts/feeds.js [--today YYYY-MM-DD] [--days N]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isApproved } = require('./overrides');
+const { getLocalIsoDate, readJson, shiftIsoDate } = require('./shared');
+
+// ── Configuration ──────────────────────────────────────────────────
+const ROOT = path.join(__dirname, '..');
+const IMPULSES_DIR = path.join(ROOT, 'impulses');
+const AUDIO_STATUS_DIR = path.join(ROOT, 'audio-status');
+const FEEDS_DIR = path.join(ROOT, 'feeds');
+const SITE_URL = (process.env.SITE_URL || 'https://michaelporwol.github.io/lumen-impulse').replace(/\/$/, '');
+// Audio manifests list file names relative to the CDN folder of the day, e.g.
+// AUDIO_BASE_URL="https://cdn.example.org/lumen/{date}/". Unset → only absolute track URLs are linked.
+const AUDIO_BASE_URL = process.env.AUDIO_BASE_URL || '';
+const AUDIO_TRACK = 'gospel';
+const FEED_DAYS = 30;
+const LANGUAGE_REGISTRY = require('../languages.json').languages;
+const DATED_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+// ── Entries ────────────────────────────────────────────────────────
+
+/** Absolute URL of a file named in audio-status/<date>.json, or null (relative URL and no AUDIO_BASE_URL). */
+function resolveAudioUrl(url, isoDate) {
+  try {
+    return new URL(url, AUDIO_BASE_URL ? AUDIO_BASE_URL.replaceAll('{date}', isoDate) : undefined).href;
+  } catch {
+    return null;
+  }
+}
+
+/** The audio track of one language as { url, size, duration }, or null when none can be linked. */
+function audioFor(manifest, isoDate, lang) {
+  const tracks = manifest?.audio?.[lang];
+  const track = tracks?.[AUDIO_TRACK] || Object.values(tracks || {})[0];
+  const url = track?.url && resolveAudioUrl(track.url, isoDate);
+  return url ? { url, size: track.size, duration: track.duration } : null;
+}
+
+/** Day name in `lang` from the language's regional calendar, falling back to the primary liturgy. */
+function dayName(impulse, language) {
+  const region = impulse.calendar?.regions?.[language.calendarProfile];
+  return region?.names?.[language.code] || impulse.liturgy?.names?.[language.code] || null;
+}
+
+/** One feed entry per day and language that has a Gospel text. */
+function buildEntry(impulse, language) {
+  const gospel = impulse.gospelTexts?.[language.code];
+  if (!gospel?.text) return null;
+
+  const reference = impulse.gospelRefs?.[language.code] || impulse.gospelRef;
+  const name = dayName(impulse, language);
+  return {
+    date: impulse.date,
+    id: `${SITE_URL}/impulses/${impulse.date}.json#${language.code}`,
+    url: `${SITE_URL}/pages/${language.code}/${impulse.date}.html`,
+    title: name ? `${reference} — ${name}` : reference,
+    reference,
+    text: gospel.text,
+    translation: gospel.reference,
+    updated: impulse.generatedAt || `${impulse.date}T00:00:00Z`,
+    audio: audioFor(readJson(path.join(AUDIO_STATUS_DIR, `${impulse.date}.json`)), impulse.date, language.code),
+  };
+}
+
+// ── Formats ────────────────────────────────────────────────────────
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function feedMeta(language) {
+  const title = `${language.ui.feedTitle} (${language.label})`;
+  return {
+    title,
+    description: `${language.ui.feedTitle} — ${language.bible.name}`,
+    home: `${SITE_URL}/`,
+    feedUrl: (file) => `${SITE_URL}/feeds/${language.code}/${file}`,
+  };
+}
+
+function renderRss(language, entries, updated) {
+  const meta = feedMeta(language);
+  const items = entries.map((e) => [
+    '    <item>',
+    `      <title>${escapeXml(e.title)}</title>`,
+    `      <link>${escapeXml(e.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(e.id)}</guid>`,
+    `      <pubDate>${new Date(`${e.date}T00:00:00Z`).toUTCString()}</pubDate>`,
+    `      <description>${escapeXml(e.text)}</description>`,
+    e.audio ? `      <enclosure url="${escapeXml(e.audio.url)}" length="${e.audio.size || 0}" type="audio/mpeg"/>` : null,
+    '    </item>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(meta.title)}</title>`,
+    `    <link>${escapeXml(meta.home)}</link>`,
+    `    <description>${escapeXml(meta.description)}</description>`,
+    `    <language>${language.code}</language>`,
+    `    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(meta.feedUrl('rss.xml'))}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+function renderAtom(language, entries, updated) {
+  const meta = feedMeta(language);
+  const items = entries.map((e) => [
+    '  <entry>',
+    `    <id>${escapeXml(e.id)}</id>`,
+    `    <title>${escapeXml(e.title)}</title>`,
+    `    <updated>${new Date(e.updated).toISOString()}</updated>`,
+    `    <published>${e.date}T00:00:00Z</published>`,
+    `    <link rel="alternate" href="${escapeXml(e.url)}"/>`,
+    e.audio ? `    <link rel="enclosure" href="${escapeXml(e.audio.url)}" type="audio/mpeg" length="${e.audio.size || 0}"/>` : null,
+    `    <content type="text">${escapeXml(e.text)}</content>`,
+    '  </entry>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${language.code}">`,
+    `  <id>${escapeXml(meta.feedUrl('atom.xml'))}</id>`,
+    `  <title>${escapeXml(meta.title)}</title>`,
+    `  <subtitle>${escapeXml(meta.description)}</subtitle>`,
+    `  <updated>${new Date(updated).toISOString()}</updated>`,
+    `  <link rel="self" href="${escapeXml(meta.feedUrl('atom.xml'))}"/>`,
+    `  <link rel="alternate" href="${escapeXml(meta.home)}"/>`,
+    '  <author><name>Lumen Impulse</name></author>',
+    ...items,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+function renderJsonFeed(language, entries) {
+  const meta = feedMeta(language);
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    description: meta.description,
+    home_page_url: meta.home,
+    feed_url: meta.feedUrl('feed.json'),
+    language: language.code,
+    items: entries.map((e) => ({
+      id: e.id,
+      url: e.url,
+      title: e.title,
+      content_text: e.text,
+      date_published: `${e.date}T00:00:00Z`,
+      date_modified: new Date(e.updated).toISOString(),
+      ...(e.audio && {
+        attachments: [{
+          url: e.audio.url,
+          mime_type: 'audio/mpeg',
+          ...(e.audio.size && { size_in_bytes: e.audio.size }),
+          ...(e.audio.duration && { duration_in_seconds: e.audio.duration }),
+        }],
+      }),
+    })),
+  };
+  return JSON.stringify(feed, null, 2) + '\n';
+}
+
+/** RFC 5545 text value: escape \ ; , and newlines. */
+function escapeIcs(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/** Fold a content line at 75 octets without splitting a UTF-8 sequence. */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function icsDate(isoDate) {
+  return isoDate.replace(/-/g, '');
+}
+
+function icsTimestamp(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function renderIcs(language, entries) {
+  const meta = feedMeta(language);
+  const host = new URL(SITE_URL).host;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//lumen-impulse//${language.ui.feedTitle}//${language.code.toUpperCase()}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcs(meta.title)}`,
+    `X-WR-CALDESC:${escapeIcs(meta.description)}`,
+  ];
+  for (const e of entries) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.date}-${language.code}@${host}`,
+      `DTSTAMP:${icsTimestamp(e.updated)}`,
+      `DTSTART;VALUE=DATE:${icsDate(e.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(shiftIsoDate(e.date, 1))}`,
+      `SUMMARY:${escapeIcs(e.title)}`,
+      `DESCRIPTION:${escapeIcs(`${e.reference} (${e.translation})\n\n${e.text}`)}`,
+      `URL:${e.url}`,
+      ...(e.audio ? [`ATTACH;FMTTYPE=audio/mpeg:${e.audio.url}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// ── Writing ────────────────────────────────────────────────────────
+
+/**
+ * Write all feeds. Newest day first; the calendar also carries approved days ahead of `today`.
+ * Languages are included from their `since` date on. A feed's own date is its newest entry's — or,
+ * without entries, the newest archived day's — never the time of the run, so an unchanged
+ * archive rewrites the committed feeds byte for byte.
+ */
+function writeFeeds({ today = getLocalIsoDate(), days = FEED_DAYS } = {}) {
+  const from = shiftIsoDate(today, -(days - 1));
+  const dates = fs.readdirSync(IMPULSES_DIR)
+    .map((name) => name.match(DATED_FILE)?.[1])
+    .filter((date) => date && date >= from)
+    .sort()
+    .reverse();
+  const impulses = dates
+    .map((date) => readJson(path.join(IMPULSES_DIR, `${date}.json`)))
+    .filter((impulse) => impulse && isApproved(impulse));
+  const newest = impulses.find((impulse) => impulse.date <= today);
+
+  for (const language of LANGUAGE_REGISTRY.filter((l) => l.since <= today)) {
+    const entries = impulses
+      .filter((impulse) => impulse.date >= language.since)
+      .map((impulse) => buildEntry(impulse, language))
+      .filter(Boolean);
+    const past = entries.filter((e) => e.date <= today);
+    const updated = past[0]?.updated || newest?.generatedAt || `${language.since}T00:00:00Z`;
+
+    const dir = path.join(FEEDS_DIR, language.code);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'rss.xml'), renderRss(language, past, updated), 'utf-8');
+    fs.writeFileSync(path.join(dir, 'atom.xml'), renderAtom(language, past, updated), 'utf-8');
+    fs.writeFileSync(path.join(dir, 'feed.json'), renderJsonFeed(language, past), 'utf-8');
+    fs.writeFileSync(path.join(dir, 'gospel.ics'), renderIcs(language, [...entries].reverse()), 'utf-8');
+    console.log(`  📰 feeds/${language.code}: ${past.length} day(s), calendar ${entries.length}`);
+  }
+  console.log(`✅ Feeds written (${from} … ${today})`);
+}
+
+module.exports = { audioFor, dayName, resolveAudioUrl, writeFeeds };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const todayIndex = args.indexOf('--today');
+  const daysIndex = args.indexOf('--days');
+  const today = todayIndex !== -1 ? args[todayIndex + 1] : undefined;
+  const days = daysIndex !== -1 ? Number(args[daysIndex + 1]) : undefined;
+
+  if (today !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(today || '')) {
+    console.error('❌ --today needs a YYYY-MM-DD date');
+    process.exit(2);
+  }
+  if (days !== undefined && !(Number.isInteger(days) && days > 0)) {
+    console.error('❌ --days needs a positive whole number');
+    process.exit(2);
+  }
+  writeFeeds({ today, days });
+}
@@ -3,88 +3,98 @@
 /**
  * Daily impulse generator for Lumen.
  *
- * 1. Fetches today's Gospel reference from USCCB
- * 2. Fetches actual Bible text from Bolls.life (public domain, no API key needed)
- * 3. Calls Magisterium AI API for each language (de, en, pl)
- * 4. Writes JSON to impulses/<date>.json + impulses/latest.json
+ * 1. Fetches today's Gospel reference from Evangelizo (USCCB as fallback), per calendar profile
+ * 2. Fetches actual Bible text from the local verse store or Bolls.life (public domain, no API key needed)
+ *    and the saints of the day from Evangelizo (scripts/saints.js, bundled sanctorale.json as fallback)
+ * 3. Optionally (--reflections) asks a model for the reflection of each language — scripts/reflections.js
+ * 4. Writes JSON to impulses/<date>.json + impulses/latest.json, and the narration scripts
+ *    for the audio sidecar to narration/<date>/ (scripts/narration.js)
+ *
+ * Without arguments it generates today; --date, --from/--to, --ahead, --repair
+ * and --dry-run backfill or pre-generate other days (see --help).
  *
  * NO user data is ever sent to any API — only the Gospel reference.
- * Bible texts are PUBLIC DOMAIN (Elberfelder 1871, KJV, Biblia Gdańska 1881).
- * Only the Magisterium API key is needed (MAGISTERIUM_API_KEY env var).
+ * Bible texts are PUBLIC DOMAIN — each language's translation and deuterocanon fallback are in languages.json.
+ * No API key is needed unless reflections are switched on (see scripts/reflections.js).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { updateArchiveIndex } = require('./archive-index');
+const { auditDay } = require('./audit-audio');
+const { bollsNumber, englishReference, localizeReference } = require('./canon');
+const { writeFeeds } = require('./feeds');
+const { writeHealthReport } = require('./health-report');
+const { writePages } = require('./pages');
+const { getLiturgicalDay, CALENDAR_PROFILES } = require('./liturgical-calendar');
+const { readStoredChapter } = require('./bible-store');
+const { textHash } = require('./content-hash');
+const { closeSession, openSession, request, setHttpMode } = require('./http');
+const { applyOverride, isApproved, pinnedReference, readOverride, reviewState } = require('./overrides');
+const { writeNarration } = require('./narration');
+const { createProvider, generateReflections } = require('./reflections');
+const { formatRanges, parseReference, referenceKey } = require('./references');
+const { fetchSaints, SAINT_LANGUAGES } = require('./saints');
+const { SCHEMA_VERSION, validateImpulse } = require('./schema');
+const { getLocalIsoDate, isIsoDate, shiftIsoDate } = require('./shared');
 
 // ── Configuration ──────────────────────────────────────────────────
-const MAGISTERIUM_API_URL = 'https://www.magisterium.com/api/v1/chat/completions';
-const API_KEY = process.env.MAGISTERIUM_API_KEY;
 const BOLLS_API_BASE = 'https://bolls.life';
-const LANGUAGES = ['de', 'en', 'pl'];
-const API_TIMEOUT_MS = 120000; // 120s timeout — Magisterium API can be slow
+const API_TIMEOUT_MS = 120000; // 120s timeout per Bible request (scripts/http.js retries)
+// Set to also fetch Bolls.life for chapters served from the local verse store and report every differing verse
+const COMPARE_WITH_BOLLS = process.env.BIBLE_COMPARE_BOLLS === '1';
 
-// Bible versions on Bolls.life — ALL public domain, no copyright issues
-const BOLLS_VERSIONS = {
-  de: { id: 'ELB', name: 'Elberfelder 1871' },
-  en: { id: 'KJV', name: 'King James Version' },
-  pl: { id: 'BG', name: 'Biblia Gdańska 1881' },
-};
+// ── Language registry ──────────────────────────────────────────────
+// languages.json is the single source for languages: Bible version (and its deuterocanon fallback),
+// calendar profile, UI strings and prompt wording. status.html reads the same file.
+// Book names and abbreviations are in canon.json (scripts/canon.js).
 
-// ── USCCB Gospel Parser ────────────────────────────────────────────
+const LANGUAGE_REGISTRY = require('../languages.json').languages;
+const LANGUAGES = LANGUAGE_REGISTRY.map((l) => l.code);
 
-const bibleBookMaps = {
-  de: {
-    matthew: 'Matthäus', mark: 'Markus', luke: 'Lukas', john: 'Johannes',
-    mt: 'Matthäus', mk: 'Markus', lk: 'Lukas', jn: 'Johannes',
-    matt: 'Matthäus', mrk: 'Markus', luk: 'Lukas', joh: 'Johannes',
-  },
-  en: {
-    matthew: 'Matthew', mark: 'Mark', luke: 'Luke', john: 'John',
-    mt: 'Matthew', mk: 'Mark', lk: 'Luke', jn: 'John',
-    matt: 'Matthew', mrk: 'Mark', luk: 'Luke', joh: 'John',
-  },
-  pl: {
-    matthew: 'Mateusz', mark: 'Marek', luke: 'Łukasz', john: 'Jan',
-    mt: 'Mateusz', mk: 'Marek', lk: 'Łukasz', jn: 'Jan',
-    matt: 'Mateusz', mrk: 'Marek', luk: 'Łukasz', joh: 'Jan',
-  },
-};
-// Backwards compat
-const bibleBookGermanMap = bibleBookMaps.de;
-
-function getLocalIsoDate() {
-  const formatter = new Intl.DateTimeFormat('en-CA', {
-    timeZone: 'Europe/Berlin',
-    year: 'numeric', month: '2-digit', day: '2-digit',
-  });
-  return formatter.format(new Date());
+/** The languages live on `isoDate` (`since` in languages.json), in registry order. */
+function languagesOn(isoDate) {
+  return LANGUAGE_REGISTRY.filter((l) => l.since <= isoDate).map((l) => l.code);
 }
 
+// Bible versions on Bolls.life — ALL public domain, no copyright issues
+// parentheticalNotes: the translation prints translator notes inline in (…) — see splitVerseAnnotations
+const BOLLS_VERSIONS = Object.fromEntries(
+  LANGUAGE_REGISTRY.filter((l) => l.bible.provider === 'bolls').map((l) => [l.code, l.bible])
+);
+
+// ── USCCB Gospel Parser ────────────────────────────────────────────
+
 function toUsccbDateSlug(isoDate) {
   const [year, month, day] = isoDate.split('-');
   return `${month}${day}${year.slice(-2)}`;
 }
 
-function toLocalizedDisplayReference(reference, lang = 'de') {
-  const normalized = reference.replace(/\s+/g, ' ').trim();
-  const match = normalized.match(/^([1-3]?\s?[A-Za-z.]+)\s+([0-9].*)$/);
-  if (!match) return normalized;
-  const bookRaw = match[1].replace(/\./g, '').trim();
-  const chapterVerse = match[2].replace(/:/g, ',');
-  const bookMap = bibleBookMaps[lang] || bibleBookMaps.de;
-  const localBook = bookMap[bookRaw.toLowerCase()] || bookRaw;
-  return `${localBook} ${chapterVerse}`;
-}
-
 // Backwards compat alias
 function toGermanDisplayReference(reference) {
-  return toLocalizedDisplayReference(reference, 'de');
+  return localizeReference(reference, 'de');
 }
 
-function parseUsccbMarkdown(markdown) {
+/**
+ * Reading slots of the Liturgy of the Word, in liturgical order.
+ * `evangelizo` is the reader.php content code, `usccb` matches the "###" heading.
+ * Lent replaces the Alleluia with a "Verse Before the Gospel"; Evangelizo has no acclamation feed.
+ */
+const READING_SLOTS = [
+  { key: 'firstReading', evangelizo: 'FR', usccb: /^Reading\s+(1|I)\b/i },
+  { key: 'psalm', evangelizo: 'PS', usccb: /^Responsorial\s+Psalm\b/i },
+  { key: 'secondReading', evangelizo: 'SR', usccb: /^Reading\s+(2|II)\b/i },
+  { key: 'acclamation', evangelizo: null, usccb: /^(Alleluia|Verse\s+Before\s+the\s+Gospel|Gospel\s+Acclamation)\b/i },
+  { key: 'gospel', evangelizo: 'GSP', usccb: /^Gospel\b/i },
+];
+
+/**
+ * Parse a USCCB readings page into its title and the first reference link of every
+ * "###" section. Returns { title, references: { firstReading, psalm, ..., gospel } }.
+ */
+function parseUsccbSections(markdown) {
   const lines = markdown.split(/\r?\n/);
   let title = '';
-  let reference = '';
 
   for (const line of lines) {
     if (!line.startsWith('## ')) continue;
@@ -95,23 +105,32 @@ function parseUsccbMarkdown(markdown) {
     break;
   }
 
-  let isInGospelSection = false;
+  const references = {};
+  let currentSlot = null;
   for (const rawLine of lines) {
     const line = rawLine.trim();
-    if (/^###\s+Gospel\b/i.test(line)) {
-      isInGospelSection = true;
+    const heading = line.match(/^###\s+(.*)$/);
+    if (heading) {
+      const slot = READING_SLOTS.find(s => s.usccb.test(heading[1].trim()));
+      // Feasts with options repeat a heading — the first occurrence wins
+      currentSlot = slot && !references[slot.key] ? slot : null;
       continue;
     }
-    if (isInGospelSection && /^###\s+/.test(line)) break;
-    if (!isInGospelSection) continue;
+    if (!currentSlot) continue;
     const referenceMatch = line.match(/\[([^\]]+)\]\(/);
     if (referenceMatch) {
-      reference = referenceMatch[1].trim();
-      break;
+      // Acclamations are often cited loosely: "See Jn 10:27", "Cf. Mt 4:4b"
+      references[currentSlot.key] = referenceMatch[1].trim().replace(/^(see|cf\.?)\s+/i, '');
+      currentSlot = null;
     }
   }
 
-  return { title, reference };
+  return { title, references };
+}
+
+function parseUsccbMarkdown(markdown) {
+  const { title, references } = parseUsccbSections(markdown);
+  return { title, reference: references.gospel || '' };
 }
 
 // ── Evangelizo.org — Primary Gospel source ────────────────────────
@@ -120,59 +139,87 @@ function parseEvangelizoReference(shortTitle) {
   // shortTitle looks like: 'John <font dir="ltr">15,18-21.</font>'
   // Strip HTML tags, trailing period, normalize
   const clean = shortTitle.replace(/<[^>]*>/g, '').replace(/\.\s*$/, '').trim();
-  // "John 15,18-21" → "John 15:18-21" (Bolls.life uses colon)
-  const reference = clean.replace(/(\d+),(\d+)/, '$1:$2');
+  // Psalms carry the Greek/Vulgate number in parentheses: "Psalms 93(92),1ab.1cd-2.5"
+  const hebrewNumbered = clean.replace(/^(.*?\d+)\s*\(\d+\)/, '$1');
+  // "John 15,18-21" → "John 15:18-21" (Bolls.life uses colon); the PL feed writes "Łk 1, 39-56"
+  const reference = hebrewNumbered.replace(/(\d+),\s*(\d+)/, '$1:$2');
   return reference;
 }
 
-async function fetchGospelFromEvangelizo(isoDate) {
+/**
+ * Fetch one reading's reference and title from Evangelizo.
+ * `content` is the reader.php content code (FR, PS, SR, GSP); `feedLang` selects the
+ * national feed (AM = United States, DE, PL), each following its own calendar.
+ * Returns null when the day has no such reading (e.g. no second reading on weekdays).
+ */
+async function fetchEvangelizoReading(isoDate, content, feedLang = 'AM') {
   const dateSlug = isoDate.replace(/-/g, ''); // 2026-05-09 → 20260509
-  const stUrl = `https://feed.evangelizo.org/v2/reader.php?date=${dateSlug}&type=reading_st&lang=AM&content=GSP`;
-  const ltUrl = `https://feed.evangelizo.org/v2/reader.php?date=${dateSlug}&type=reading_lt&lang=AM&content=GSP`;
+  const stUrl = `https://feed.evangelizo.org/v2/reader.php?date=${dateSlug}&type=reading_st&lang=${feedLang}&content=${content}`;
+  const ltUrl = `https://feed.evangelizo.org/v2/reader.php?date=${dateSlug}&type=reading_lt&lang=${feedLang}&content=${content}`;
 
   console.log(`Fetching Evangelizo: ${stUrl}`);
   const [stResp, ltResp] = await Promise.all([
-    fetch(stUrl),
-    fetch(ltUrl),
+    request(stUrl),
+    request(ltUrl).catch(() => null), // the long title is decoration — the reading stands without it
   ]);
 
   if (!stResp.ok) throw new Error(`Evangelizo fetch failed: ${stResp.status}`);
 
-  const shortTitle = await stResp.text();
-  const longTitle = ltResp.ok ? await ltResp.text() : '';
+  const shortTitle = stResp.body;
+  const longTitle = ltResp?.ok ? ltResp.body : '';
+  if (!shortTitle.replace(/<[^>]*>/g, '').trim()) return null;
 
-  const reference = parseEvangelizoReference(shortTitle);
+  // The DE and PL feeds name books in their language ("Łk", "Syr") — the sources' form is English
+  const parsed = parseEvangelizoReference(shortTitle);
+  const reference = feedLang === 'AM' ? parsed : englishReference(parsed);
   if (!reference || reference.length < 3) {
     throw new Error(`Could not parse Evangelizo reference from: "${shortTitle}"`);
   }
 
   // Extract title from long title (strip HTML)
-  const title = longTitle.replace(/<[^>]*>/g, '').trim() || 'Daily Gospel';
+  const title = longTitle.replace(/<[^>]*>/g, '').trim() || null;
+
+  console.log(`  ✅ Evangelizo ${feedLang} ${content}: "${reference}" (${title || '–'})`);
+  return { reference, title, url: stUrl, attempts: stResp.attempts };
+}
+
+async function fetchGospelFromEvangelizo(isoDate) {
+  const reading = await fetchEvangelizoReading(isoDate, 'GSP');
+  if (!reading) throw new Error('Evangelizo returned no Gospel');
 
-  console.log(`  ✅ Evangelizo: "${reference}" (${title})`);
   return {
-    reference,
-    referenceDisplay: toGermanDisplayReference(reference),
-    title,
+    reference: reading.reference,
+    referenceDisplay: toGermanDisplayReference(reading.reference),
+    title: reading.title || 'Daily Gospel',
+    source: 'evangelizo:AM',
+    url: reading.url,
+    attempts: reading.attempts,
   };
 }
 
 // ── USCCB — Fallback Gospel source ────────────────────────────────
 
-async function fetchGospelFromUsccb(isoDate) {
+async function fetchUsccbReadings(isoDate) {
   const slug = toUsccbDateSlug(isoDate);
   const url = `https://bible.usccb.org/bible/readings/${slug}.cfm.md`;
 
-  console.log(`Fetching USCCB (fallback): ${url}`);
-  const resp = await fetch(url);
+  console.log(`Fetching USCCB: ${url}`);
+  const resp = await request(url);
   if (!resp.ok) throw new Error(`USCCB fetch failed: ${resp.status}`);
 
-  const markdown = await resp.text();
+  const markdown = resp.body;
   // Check for bot protection page
   if (markdown.includes('Checking connection') || markdown.includes('noindex, nofollow')) {
     throw new Error('USCCB returned bot protection page instead of readings');
   }
-  const { title, reference } = parseUsccbMarkdown(markdown);
+  return { ...parseUsccbSections(markdown), url, attempts: resp.attempts };
+}
+
+/** The Gospel of the USCCB page; `usccb` keeps the parsed page for fetchReadingReferences. */
+async function fetchGospelFromUsccb(isoDate) {
+  const usccb = await fetchUsccbReadings(isoDate);
+  const { title, references, url, attempts } = usccb;
+  const reference = references.gospel;
 
   if (!reference) {
     throw new Error('Could not find Gospel reference in USCCB response');
@@ -182,6 +229,10 @@ async function fetchGospelFromUsccb(isoDate) {
     reference,
     referenceDisplay: toGermanDisplayReference(reference),
     title: title || 'Daily Gospel',
+    source: 'usccb',
+    url,
+    attempts,
+    usccb,
   };
 }
 
@@ -203,169 +254,379 @@ async function fetchGospelReference(isoDate) {
   throw new Error('All Gospel sources failed (Evangelizo + USCCB)');
 }
 
-// ── Bolls.life — Fetch Bible text (public domain, no API key) ─────
+/**
+ * Resolve the references of all other readings of the day.
+ * Evangelizo first (FR/PS/SR); USCCB for the acclamation and for whatever Evangelizo could not deliver —
+ * the page the Gospel came from when it fell back to USCCB, so it is fetched once.
+ * Returns { firstReading, psalm, secondReading, acclamation, gospel } with { reference, title } or null.
+ * Never throws — a missing reading must not cost the day its Gospel.
+ */
+async function fetchReadingReferences(isoDate, gospel) {
+  // undefined = source failed (ask the next one), null = the day has no such reading
+  const refs = { gospel: { reference: gospel.reference, title: gospel.title } };
+
+  for (const slot of READING_SLOTS) {
+    if (!slot.evangelizo || refs[slot.key]) continue;
+    try {
+      refs[slot.key] = await fetchEvangelizoReading(isoDate, slot.evangelizo);
+    } catch (err) {
+      console.warn(`⚠️ Evangelizo ${slot.evangelizo} failed: ${err.message}`);
+    }
+  }
+
+  const missing = READING_SLOTS.filter(slot => refs[slot.key] === undefined);
+  if (missing.length > 0) {
+    let usccb = gospel.usccb || null;
+    try {
+      usccb ||= await fetchUsccbReadings(isoDate);
+    } catch (err) {
+      console.warn(`⚠️ USCCB readings failed: ${err.message}`);
+    }
+    for (const slot of missing) {
+      const reference = usccb?.references[slot.key];
+      refs[slot.key] = reference ? { reference, title: null } : null;
+    }
+  }
+
+  return refs;
+}
+
+// ── Regional calendar profiles ─────────────────────────────────────
 
 /**
- * Map English book names (from USCCB) to Bolls.life book numbers.
- * Bolls.life uses sequential numbering: Genesis=1 ... Revelation=66.
- * Includes Catholic deuterocanonical books and common USCCB name variants.
+ * Which national calendar each language follows (see CALENDAR_PROFILES in liturgical-calendar.js)
+ * and where each calendar's Gospel comes from. Evangelizo publishes one feed per calendar;
+ * USCCB only knows the US one, so US is the primary profile with the full fallback chain.
  */
-const BOOK_TO_NUMBER = {
-  'genesis': 1, 'exodus': 2, 'leviticus': 3, 'numbers': 4,
-  'deuteronomy': 5, 'joshua': 6, 'judges': 7, 'ruth': 8,
-  '1 samuel': 9, '2 samuel': 10, '1 kings': 11, '2 kings': 12,
-  '1 chronicles': 13, '2 chronicles': 14, 'ezra': 15, 'nehemiah': 16,
-  'esther': 17, 'job': 18, 'psalms': 19, 'psalm': 19, 'proverbs': 20,
-  'ecclesiastes': 21, 'song of solomon': 22, 'song of songs': 22,
-  'isaiah': 23, 'jeremiah': 24, 'lamentations': 25,
-  'ezekiel': 26, 'daniel': 27,
-  'hosea': 28, 'joel': 29, 'amos': 30, 'obadiah': 31,
-  'jonah': 32, 'micah': 33, 'nahum': 34, 'habakkuk': 35,
-  'zephaniah': 36, 'haggai': 37, 'zechariah': 38, 'malachi': 39,
-  'matthew': 40, 'matt': 40, 'mt': 40,
-  'mark': 41, 'mk': 41, 'mrk': 41,
-  'luke': 42, 'lk': 42, 'luk': 42,
-  'john': 43, 'jn': 43, 'joh': 43,
-  'acts': 44, 'romans': 45, '1 corinthians': 46, '2 corinthians': 47,
-  'galatians': 48, 'ephesians': 49, 'philippians': 50, 'colossians': 51,
-  '1 thessalonians': 52, '2 thessalonians': 53,
-  '1 timothy': 54, '2 timothy': 55, 'titus': 56, 'philemon': 57,
-  'hebrews': 58, 'james': 59,
-  '1 peter': 60, '2 peter': 61,
-  '1 john': 62, '2 john': 63, '3 john': 64,
-  'jude': 65, 'revelation': 66,
-};
+const LANGUAGE_PROFILES = Object.fromEntries(LANGUAGE_REGISTRY.map((l) => [l.code, l.calendarProfile]));
+const PRIMARY_PROFILE = 'US';
+const PROFILE_FEEDS = { US: 'AM', DE: 'DE', PL: 'PL' }; // profiles without a feed (GRC) borrow a Gospel, see gospelKey
 
 /**
- * Parse a USCCB-style reference like "Mark 8:11-13", "1 John 3:1-2",
- * or multi-range "Matthew 6:1-6, 16-18" into a result with verse ranges.
- * Returns { bookNumber, chapter, ranges: [{ verseStart, verseEnd }] }
- * Also sets verseStart/verseEnd spanning the full range for backwards compat.
+ * What decides the Gospel of a day in a calendar: the feast or solemnity kept, otherwise the
+ * place in the season. Two calendars with the same key read the same Gospel — so on 2027-01-06
+ * GRC and DE (Epiphany) agree while the US, having moved Epiphany to the Sunday, does not.
  */
-function parseReference(reference) {
-  const normalized = reference.replace(/\s+/g, ' ').trim();
+function gospelKey(isoDate, profile) {
+  const day = getLiturgicalDay(isoDate, profile);
+  if (['solemnity', 'feast'].includes(day.celebration?.rank)) return day.celebration.id;
+  return `${day.season}:${day.week}:${day.dayOfWeek}`;
+}
 
-  // Match: optional number prefix, book name, chapter:verses (including multi-range like "6:1-6, 16-18")
-  const match = normalized.match(/^([1-3]?\s?[A-Za-z]+(?:\s+of\s+[A-Za-z]+)?)\s+(\d+):(.+)$/);
-  if (!match) {
-    console.warn(`  ⚠️ Could not parse reference: "${reference}"`);
-    return null;
+/**
+ * Resolve the Gospel reference for every profile in use.
+ * The primary profile's Gospel is passed in (it already went through Evangelizo → USCCB);
+ * the others ask their own Evangelizo feed and fall back to the primary reference.
+ * A profile without a feed takes the Gospel of the first fed calendar keeping the same day
+ * (gospelKey), and the primary one with `fallback: true` when none does.
+ * A reference pinned in overrides/<date>.json wins over every feed.
+ * Returns { US: { reference, title, source, fallback }, DE: {...}, PL: {...} }.
+ */
+async function fetchRegionalGospels(isoDate, primaryGospel, override = null) {
+  const regions = {
+    [PRIMARY_PROFILE]: {
+      reference: primaryGospel.reference,
+      title: primaryGospel.title,
+      source: primaryGospel.source,
+      fallback: !['override', `evangelizo:${PROFILE_FEEDS[PRIMARY_PROFILE]}`].includes(primaryGospel.source),
+    },
+  };
+  // Profiles whose Gospel follows their own calendar (not the primary one's stand-in)
+  const own = new Set([PRIMARY_PROFILE]);
+  const profiles = [...new Set(Object.values(LANGUAGE_PROFILES))];
+
+  for (const profile of profiles.filter((p) => PROFILE_FEEDS[p])) {
+    if (regions[profile]) continue;
+    const pinned = pinnedReference(override, profile);
+    if (pinned) {
+      regions[profile] = { reference: pinned, title: null, source: 'override', fallback: false };
+      own.add(profile);
+      continue;
+    }
+    try {
+      const reading = await fetchEvangelizoReading(isoDate, 'GSP', PROFILE_FEEDS[profile]);
+      if (!reading) throw new Error('no Gospel in feed');
+      regions[profile] = { reference: reading.reference, title: reading.title, source: `evangelizo:${PROFILE_FEEDS[profile]}`, fallback: false };
+      own.add(profile);
+    } catch (err) {
+      console.warn(`⚠️ Evangelizo ${PROFILE_FEEDS[profile]} failed (${err.message}) — ${profile} uses the ${PRIMARY_PROFILE} Gospel`);
+      regions[profile] = { ...regions[PRIMARY_PROFILE], fallback: true };
+    }
+  }
+
+  for (const profile of profiles.filter((p) => !PROFILE_FEEDS[p])) {
+    const pinned = pinnedReference(override, profile);
+    if (pinned) {
+      regions[profile] = { reference: pinned, title: null, source: 'override', fallback: false };
+      continue;
+    }
+    const key = gospelKey(isoDate, profile);
+    const match = Object.keys(PROFILE_FEEDS).find((p) => own.has(p) && gospelKey(isoDate, p) === key);
+    if (match) {
+      regions[profile] = { ...regions[match] };
+      if (match !== PRIMARY_PROFILE) console.log(`  📅 ${profile} keeps the day as ${match} does — using the ${match} Gospel`);
+    } else {
+      console.warn(`⚠️ No fed calendar keeps ${isoDate} as ${profile} does — ${profile} uses the ${PRIMARY_PROFILE} Gospel`);
+      regions[profile] = { ...regions[PRIMARY_PROFILE], fallback: true };
+    }
   }
+  return regions;
+}
 
-  const bookRaw = match[1].trim().toLowerCase();
-  const chapter = parseInt(match[2], 10);
-  const versePart = match[3].trim();
+/** Profiles whose Gospel differs from the primary one: [{ profile, reference, primaryReference }] */
+function findRegionalDifferences(regions) {
+  const primary = regions[PRIMARY_PROFILE];
+  return Object.entries(regions)
+    .filter(([profile, region]) => profile !== PRIMARY_PROFILE && referenceKey(region.reference) !== referenceKey(primary.reference))
+    .map(([profile, region]) => ({ profile, reference: region.reference, primaryReference: primary.reference }));
+}
 
-  const bookNumber = BOOK_TO_NUMBER[bookRaw];
-  if (!bookNumber) {
-    console.warn(`  ⚠️ Unknown book: "${bookRaw}"`);
-    return null;
+/** The `calendar` block: profiles per language, each region's Gospel and liturgical day, and disagreements. */
+function buildCalendarBlock(isoDate, regions, differences) {
+  const regionBlocks = {};
+  for (const [profile, region] of Object.entries(regions)) {
+    const day = getLiturgicalDay(isoDate, profile);
+    regionBlocks[profile] = {
+      calendarNames: CALENDAR_PROFILES[profile].names,
+      gospelRef: region.reference,
+      source: region.source,
+      fallback: region.fallback,
+      names: day.names,
+      rank: day.rank,
+      color: day.color,
+      celebration: day.celebration,
+    };
   }
+  return {
+    primary: PRIMARY_PROFILE,
+    profiles: { ...LANGUAGE_PROFILES },
+    regions: regionBlocks,
+    differences,
+  };
+}
 
-  // Parse verse ranges: "1-6, 16-18" or "1-6.16-18" → [{1,6}, {16,18}]
-  // Separators: comma, semicolon, AND period (European citation style, e.g. "Matt 6:1-6.16-18")
-  const ranges = [];
-  for (const segment of versePart.split(/[,;.]\s*/)) {
-    const rangeMatch = segment.trim().match(/^(\d+)[a-z]?(?:\s*[-–]\s*(\d+)[a-z]?)?$/);
-    if (rangeMatch) {
-      const start = parseInt(rangeMatch[1], 10);
-      const end = rangeMatch[2] ? parseInt(rangeMatch[2], 10) : start;
-      ranges.push({ verseStart: start, verseEnd: end });
+// ── Bolls.life — Fetch Bible text (public domain, no API key) ─────
+
+/** Bolls.life verse markup → plain text (Strong's numbers and tags removed) */
+function cleanVerseText(text) {
+  return text
+    .replace(/<S>\d+<\/S>/gi, '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Elberfelder note openers: "(O. zur Ruhe bringen)", "(Eig. Lehrmeister, od. Führer)", "(W. Der Größte)", "(S. 4. Mose 15,37-39)" …
+const ELB_NOTE_PREFIX = /^(?:O\s?\.|Eig\.|W\.|S\.|d\.\s?[hi]\.|[Vv]ergl\.|Nach and\.|And\.|od\.|Viell\.|Zugl\.|Näml\.|Hebr\.|Griech\.|Im Griech|Das griech\.|(?:Sehr )?[Ww]ahrsch\.|Ein Ausdruck|'')/;
+// Cross references: "(Ps. 78,2)", "(5. Mose 6,4-5)", "(Jes. 6,9-10)"
+const CROSS_REFERENCE = /^(?:[1-5]\.\s?)?\p{Lu}\p{Ll}*\.?\s+\d+,\d+/u;
+// Parentheses that belong to the Bible text itself: "(denn er war nackt)", "(Maria aber war es, die …)"
+const TEXT_PARENTHESIS = /^(?:denn|und|wie|was|es|so|als|aber|welche[rs]?|indem|weil|nämlich|damit|daß|auf daß|\S+ aber)\b/i;
+
+/**
+ * Is this (…) content an Elberfelder translator note rather than part of the text?
+ * The Elberfelder uses parentheses in the text itself only for asides opened by a conjunction,
+ * so anything else — glosses like "(die Gebäude)" or "(Johannisbrot, …)" included — is a note.
+ */
+function isTranslatorNote(content) {
+  const trimmed = content.trim();
+  if (ELB_NOTE_PREFIX.test(trimmed) || CROSS_REFERENCE.test(trimmed)) return true;
+  return !TEXT_PARENTHESIS.test(trimmed);
+}
+
+/** Remove translator notes in (…) — nested ones too — pushing their content onto `footnotes`. */
+function extractParentheticalNotes(text, footnotes) {
+  let result = '';
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] !== '(') {
+      result += text[i++];
+      continue;
+    }
+    let depth = 0;
+    let end = i;
+    for (; end < text.length; end++) {
+      if (text[end] === '(') depth++;
+      else if (text[end] === ')' && --depth === 0) break;
     }
+    let content;
+    if (end < text.length) {
+      content = text.slice(i + 1, end);
+    } else {
+      // Unbalanced — Bolls has "(Eig. sagte ihm (d. h. oftmals) Es ist …" with the outer ")" lost.
+      // A note opener claims everything up to the first ")"; anything else stays text.
+      end = text.indexOf(')', i);
+      if (end === -1 || !ELB_NOTE_PREFIX.test(text.slice(i + 1))) {
+        result += text[i++];
+        continue;
+      }
+      content = text.slice(i + 1, end) + ')';
+    }
+    if (isTranslatorNote(content)) {
+      footnotes.push(content.replace(/\s+/g, ' ').trim());
+    } else {
+      result += `(${extractParentheticalNotes(content, footnotes)})`;
+    }
+    i = end + 1;
   }
+  return result;
+}
+
+/**
+ * Split one Bolls.life verse into clean text and footnotes.
+ * Tag notes (<sup>…</sup>, <note>…</note>) become footnotes in every translation; bare markers
+ * ("a", "1", "*") are dropped; Strong's numbers go; italics and other markup keep their text.
+ * With `parentheticalNotes` (Elberfelder) inline (…) notes and cross references are extracted too.
+ */
+function splitVerseAnnotations(raw, { parentheticalNotes = false } = {}) {
+  const footnotes = [];
+  let text = raw
+    .replace(/<S>\d+<\/S>/gi, '')
+    .replace(/<(sup|note)\b[^>]*>([\s\S]*?)<\/\1>/gi, (_, tag, inner) => {
+      const note = inner.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+      if (note && !/^[\p{L}\d*†]{1,3}$/u.test(note)) footnotes.push(note);
+      return ' ';
+    })
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '');
+
+  if (parentheticalNotes) text = extractParentheticalNotes(text, footnotes);
+
+  text = text
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.;:!?])/g, '$1')
+    .trim();
+  return { text, footnotes };
+}
 
-  if (ranges.length === 0) {
-    console.warn(`  ⚠️ Could not parse verses: "${versePart}"`);
+/** One chapter from Bolls.life: [{ verse, text }] or null (logged) on failure. */
+async function fetchBollsChapter(translation, bookNumber, chapter, lang) {
+  const url = `${BOLLS_API_BASE}/get-text/${translation}/${bookNumber}/${chapter}/`;
+  const resp = await request(url, { timeoutMs: API_TIMEOUT_MS });
+  if (!resp.ok) {
+    console.warn(`  ⚠️ Bolls.life [${lang}] ch=${chapter} ${resp.status}: ${resp.body.substring(0, 200)}`);
+    return null;
+  }
+  const verses = JSON.parse(resp.body);
+  if (!Array.isArray(verses) || verses.length === 0) {
+    console.warn(`  ⚠️ Bolls.life [${lang}] ch=${chapter}: No verses returned`);
     return null;
   }
+  return verses;
+}
 
-  return {
-    bookNumber,
-    chapter,
-    verseStart: ranges[0].verseStart,
-    verseEnd: ranges[ranges.length - 1].verseEnd,
-    ranges,
-  };
+/** Log every verse of `wanted` whose stored text differs from Bolls.life (BIBLE_COMPARE_BOLLS=1). */
+function reportStoreDifferences(translation, bookNumber, chapter, stored, remote, wanted) {
+  const remoteByVerse = new Map(remote.map((v) => [v.verse, cleanVerseText(v.text)]));
+  for (const v of stored) {
+    if (!wanted(v.verse)) continue;
+    const remoteText = remoteByVerse.get(v.verse);
+    if (remoteText === undefined || remoteText === cleanVerseText(v.text)) continue;
+    const message = `Verse store differs from Bolls.life: ${translation} ${bookNumber} ${chapter}:${v.verse}`;
+    console.warn(`  ⚠️ ${message}`);
+    if (process.env.GITHUB_ACTIONS) console.log(`::warning title=Verse store differs::${message}`);
+  }
 }
 
 /**
- * Fetch Bible text for a single language, supporting multi-range references.
- * Fetches the full chapter once and filters by all verse ranges.
+ * Fetch Bible text for a single language, supporting multi-range and multi-chapter references.
+ * Every chapter involved is loaded once — from the local verse store (scripts/bible-store.js)
+ * when it has it, otherwise from Bolls.life — and filtered by its verse ranges in reference order.
+ * Half-verse markers (a/b) include the whole verse — neither source has sub-verse data.
  */
-async function fetchBibleTextMultiRange(translation, bookNumber, chapter, ranges, lang) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
-
+async function fetchBibleTextMultiRange(version, bookNumber, ranges, lang) {
+  const translation = version.id;
   try {
-    const url = `${BOLLS_API_BASE}/get-text/${translation}/${bookNumber}/${chapter}/`;
-    const rangeStr = ranges.map(r => `${r.verseStart}-${r.verseEnd}`).join(', ');
-    console.log(`  📖 Fetching Bolls.life [${lang}]: ${translation} book=${bookNumber} ch=${chapter} v${rangeStr}...`);
-
-    const resp = await fetch(url, { signal: controller.signal });
-    if (!resp.ok) {
-      const body = await resp.text().catch(() => '');
-      console.warn(`  ⚠️ Bolls.life [${lang}] ${resp.status}: ${body.substring(0, 200)}`);
-      return null;
-    }
-
-    const verses = await resp.json();
-    if (!Array.isArray(verses) || verses.length === 0) {
-      console.warn(`  ⚠️ Bolls.life [${lang}]: No verses returned`);
-      return null;
+    const chapters = [...new Set(ranges.map(r => r.chapter))];
+    console.log(`  📖 Fetching [${lang}]: ${translation} book=${bookNumber} ${formatRanges(ranges)}...`);
+
+    const chapterVerses = new Map();
+    const sources = new Set();
+    for (const chapter of chapters) {
+      const stored = readStoredChapter(translation, bookNumber, chapter);
+      if (stored) {
+        chapterVerses.set(chapter, stored);
+        sources.add('local');
+        if (COMPARE_WITH_BOLLS) {
+          const remote = await fetchBollsChapter(translation, bookNumber, chapter, lang).catch(() => null);
+          const wanted = (verse) => ranges.some((r) => r.chapter === chapter && verse >= r.verseStart && (r.verseEnd === null || verse <= r.verseEnd));
+          if (remote) reportStoreDifferences(translation, bookNumber, chapter, stored, remote, wanted);
+        }
+        continue;
+      }
+
+      const verses = await fetchBollsChapter(translation, bookNumber, chapter, lang);
+      if (!verses) return null;
+      chapterVerses.set(chapter, verses);
+      sources.add('bolls');
     }
 
-    // Filter to all requested verse ranges
-    const filtered = verses.filter((v) =>
-      ranges.some(r => v.verse >= r.verseStart && v.verse <= r.verseEnd)
-    );
-    if (filtered.length === 0) {
-      console.warn(`  ⚠️ Bolls.life [${lang}]: No verses in requested ranges`);
-      return null;
+    // Assemble in reference order — "Matt 18:21-35.19,1" must not be sorted, ranges may repeat chapters
+    // Psalm responses split verses into lines ("1ab.1cd-2") — each verse is emitted once
+    const filtered = [];
+    const seen = new Set();
+    for (const r of ranges) {
+      const inRange = chapterVerses.get(r.chapter).filter((v) =>
+        v.verse >= r.verseStart && (r.verseEnd === null || v.verse <= r.verseEnd)
+      );
+      if (inRange.length === 0) {
+        console.warn(`  ⚠️ [${lang}]: No verses in range ${formatRanges([r])}`);
+        return null;
+      }
+      for (const v of inRange) {
+        if (seen.has(`${r.chapter}:${v.verse}`)) continue;
+        seen.add(`${r.chapter}:${v.verse}`);
+        filtered.push({ chapter: r.chapter, verse: v.verse, text: v.text });
+      }
     }
 
-    const text = filtered
-      .map((v) => v.text
-        .replace(/<S>\d+<\/S>/gi, '')
-        .replace(/<[^>]*>/g, '')
-        .trim()
-      )
+    const verses = filtered.map((v) => ({
+      chapter: v.chapter,
+      verse: v.verse,
+      ...splitVerseAnnotations(v.text, version),
+    }));
+    const text = verses
+      .map((v) => v.text)
       .filter(Boolean)
-      .join(' ')
-      .replace(/\s+/g, ' ')
-      .trim();
+      .join(' ');
 
-    const versionName = BOLLS_VERSIONS[lang]?.name || translation;
-    console.log(`  ✅ Bolls.life [${lang}] (${versionName}): ${text.substring(0, 80)}...`);
-    return { text, reference: versionName };
+    const versionName = version.name || translation;
+    const source = [...sources].join('+'); // "local", "bolls" or "local+bolls"
+    const noteCount = verses.reduce((sum, v) => sum + v.footnotes.length, 0);
+    console.log(`  ✅ ${source} [${lang}] (${versionName}, ${noteCount} notes): ${text.substring(0, 80)}...`);
+    return { text, reference: versionName, source, textHash: textHash(text), verses };
   } catch (err) {
-    console.warn(`  ⚠️ Bolls.life [${lang}] error:`, err.message);
+    console.warn(`  ⚠️ [${lang}] error:`, err.message);
     return null;
-  } finally {
-    clearTimeout(timeout);
   }
 }
 
+/** The translation of `lang` for `book`: its `deuterocanon` fallback for the seven books KJV, Gdańska & co. lack. */
+function bibleVersionFor(lang, book) {
+  const version = BOLLS_VERSIONS[lang];
+  return book.deuterocanonical && version?.deuterocanon ? version.deuterocanon : version;
+}
+
 /**
- * Fetch Bible text for all languages from Bolls.life.
- * Returns { de, en, pl } with { text, reference } per language, or null on total failure.
+ * Fetch Bible text for all (or the given) languages — local verse store first, then Bolls.life.
+ * Returns { de, en, pl } with { text, reference, source, textHash } per language, or null on total failure.
  * No API key needed — all public domain translations.
  */
-async function fetchAllBibleTexts(reference) {
+async function fetchAllBibleTexts(reference, languages = LANGUAGES) {
   const parsed = parseReference(reference);
   if (!parsed) {
     console.warn('  ⚠️ Skipping Bible text fetch — could not parse reference');
     return null;
   }
 
-  const { bookNumber, chapter, ranges } = parsed;
-  const rangeStr = ranges.map(r => `${r.verseStart}-${r.verseEnd}`).join(', ');
-  console.log(`\n📖 Fetching Bible text: book=${bookNumber} ch=${chapter} v${rangeStr}\n`);
+  const { book, ranges } = parsed;
+  console.log(`\n📖 Fetching Bible text: ${book.names.en} ${formatRanges(ranges)}\n`);
 
   const results = {};
-  for (const lang of LANGUAGES) {
-    const version = BOLLS_VERSIONS[lang];
+  for (const lang of languages) {
+    const version = bibleVersionFor(lang, book);
     if (!version) continue;
-    results[lang] = await fetchBibleTextMultiRange(version.id, bookNumber, chapter, ranges, lang);
+    results[lang] = await fetchBibleTextMultiRange(version, bollsNumber(book, version.id), ranges, lang);
   }
 
   // At least one language must succeed
@@ -375,184 +636,470 @@ async function fetchAllBibleTexts(reference) {
   return results;
 }
 
-// ── Magisterium AI API ─────────────────────────────────────────────
+/**
+ * Gospel text per language of `languages`, each from the reference of that language's calendar profile.
+ * Languages sharing a passage share one fetch. Returns { de, en, pl } or null on total failure.
+ */
+async function fetchRegionalBibleTexts(regions, languages = LANGUAGES) {
+  const groups = new Map(); // referenceKey → { reference, languages }
+  for (const lang of languages) {
+    const reference = regions[LANGUAGE_PROFILES[lang]].reference;
+    const key = referenceKey(reference);
+    if (!groups.has(key)) groups.set(key, { reference, languages: [] });
+    groups.get(key).languages.push(lang);
+  }
 
-function buildPrompt(gospelRef, lang) {
-  const langLabel = lang === 'de' ? 'Deutsch' : lang === 'pl' ? 'Polnisch' : 'Englisch';
-  const langDu = lang === 'de' ? 'Duze den Leser' : lang === 'pl' ? 'Zwracaj się per "ty"' : 'Use "you" (informal)';
+  const fetched = {};
+  for (const group of groups.values()) {
+    const texts = await fetchAllBibleTexts(group.reference, group.languages);
+    for (const lang of group.languages) fetched[lang] = texts?.[lang] || null;
+  }
+  const results = Object.fromEntries(languages.map((lang) => [lang, fetched[lang]])); // registry order
 
-  return {
-    system: `Du bist ein katholischer geistlicher Begleiter in der ignatianischen Tradition. Antworte ausschließlich mit validem JSON. Kein Markdown, keine Codeblöcke, kein umschließender Text – nur das reine JSON-Objekt.`,
-    user: `Das heutige Tagesevangelium: ${gospelRef}
-
-Erstelle einen universellen Morgenimpuls auf ${langLabel} als JSON:
-{"impuls":{"title":"...","text":"..."},"mitnahme":{"title":"${lang === 'de' ? 'Eine Frage für heute' : lang === 'pl' ? 'Pytanie na dziś' : 'A question for today'}","text":"..."},"tieferReingehen":{"titel":"...","text":"...","gedanken":["...","...","..."],"uebung":"..."}}
-
-Regeln:
-- ${langDu}
-- 2-3 Sätze pro Impuls-Text, lebensnah und warm
-- Die Frage (mitnahme) soll konkret und alltagstauglich sein
-- tieferReingehen: theologisch fundiert (Kirchenväter, Ignatius, KKK), 3 Gedanken, 1 praktische Übung
-- Kein Moralisieren, keine Angst-Rhetorik, ignatianisch-barmherzig
-- Beziehe dich auf das Tagesevangelium
-- ALLE Bibelzitate und Verweise müssen auf ${langLabel} sein — NIEMALS Zitate in einer anderen Sprache (kein Englisch in deutschen Texten, kein Deutsch in englischen Texten etc.)
-- KEINE Fußnoten, Quellenverweise oder Referenzmarker wie [^1] oder [1] im Text`,
-  };
+  if (Object.values(results).filter(Boolean).length === 0) return null;
+  return results;
 }
 
-/** Strip Magisterium AI footnote references like [^3], [^6][^7], [^1^], (cf. [^1]) etc. */
-function stripFootnotes(text) {
-  if (typeof text !== 'string') return text;
-  return text
-    .replace(/\s*\[\^?\d+\^?\]/g, '')  // [^3], [1], [^12], [^1^] (with optional leading space)
-    .replace(/\s*\(cf\.\s*\)/g, '')    // leftover empty "(cf. )" after stripping
-    .replace(/\s{2,}/g, ' ')           // collapse double spaces
-    .trim();
+/** Per-language display references: { de: "Matthäus 6,1-6", en: "Matthew 6,1-6", pl: "Mateusz 6,1-6" } */
+function localizedReferences(reference) {
+  const refs = {};
+  for (const lang of LANGUAGES) {
+    refs[lang] = localizeReference(reference, lang);
+  }
+  return refs;
+}
+
+/** Per-language display references of each language's own calendar profile. */
+function localizedRegionalReferences(regions) {
+  const refs = {};
+  for (const lang of LANGUAGES) {
+    refs[lang] = localizeReference(regions[LANGUAGE_PROFILES[lang]].reference, lang);
+  }
+  return refs;
 }
 
-function parseImpulseJson(content) {
-  let cleaned = content.trim();
+/**
+ * Fetch the Bible text of every reading and shape the `readings` block (primary profile).
+ * Pass `gospelTexts` only when they belong to the primary Gospel — they are reused as is.
+ * Texts are fetched for `languages` only.
+ */
+async function fetchReadings(references, gospelTexts, languages = LANGUAGES) {
+  const readings = {};
+  for (const slot of READING_SLOTS) {
+    const entry = references[slot.key];
+    if (!entry) {
+      readings[slot.key] = null;
+      continue;
+    }
 
-  // Strip markdown code fences if present
-  const fenceMatch = cleaned.match(/```(?:json)?\s*\n?([\s\S]*?)\n?\s*```/);
-  if (fenceMatch) cleaned = fenceMatch[1].trim();
+    let texts = null;
+    if (slot.key === 'gospel' && gospelTexts) {
+      texts = gospelTexts;
+    } else {
+      try {
+        texts = await fetchAllBibleTexts(entry.reference, languages);
+      } catch (err) {
+        console.warn(`⚠️ Bible text for ${slot.key} failed (non-critical):`, err.message);
+      }
+    }
 
-  // Find the outermost JSON object
-  const firstBrace = cleaned.indexOf('{');
-  const lastBrace = cleaned.lastIndexOf('}');
-  if (firstBrace !== -1 && lastBrace > firstBrace) {
-    cleaned = cleaned.slice(firstBrace, lastBrace + 1);
+    readings[slot.key] = {
+      ref: toGermanDisplayReference(entry.reference),
+      refOriginal: entry.reference,
+      refs: localizedReferences(entry.reference),
+      title: entry.title || null,
+      texts: texts || null,
+    };
   }
+  return readings;
+}
 
-  const parsed = JSON.parse(cleaned);
+// ── Main ───────────────────────────────────────────────────────────
 
-  // Validate required fields
-  if (!parsed.impuls?.title || !parsed.impuls?.text) {
-    throw new Error('Missing impuls.title or impuls.text');
+/**
+ * Build the impulse object for one date — fetches everything, writes nothing.
+ * Throws when the Gospel reference cannot be resolved; everything else degrades to null.
+ * `reflections` is a provider from scripts/reflections.js, or null for Gospel only.
+ * Every request of the day is logged (and recorded or replayed, see scripts/http.js) into `provenance`.
+ */
+async function generateImpulse(isoDate, options = {}) {
+  openSession(isoDate);
+  try {
+    const output = await buildImpulse(isoDate, options);
+    output.provenance = { ...output.provenance, ...closeSession() };
+    return output;
+  } finally {
+    closeSession(); // no-op after success; after a failure it still saves the recording
   }
-  if (!parsed.mitnahme?.text) {
-    throw new Error('Missing mitnahme.text');
+}
+
+async function buildImpulse(isoDate, { reflections = null } = {}) {
+  // Seit 01.06.2026 ist die KI-Reflexion optional (--reflections): ohne sie erzeugt dieses
+  // Script nur das Tagesevangelium (Referenz + Bibeltext) aus öffentlichen Quellen —
+  // Grundlage für die TTS-Audio-Generierung.
+  console.log(`\n📅 Generating impulse for ${isoDate}\n`);
+
+  // 0. Liturgical day — computed offline, no source can take it down
+  const liturgy = getLiturgicalDay(isoDate);
+  console.log(`⛪ ${liturgy.names.de} (${liturgy.seasonNames.de}, ${liturgy.colorNames.de}, Lesejahr ${liturgy.sundayCycle}/${liturgy.weekdayCycle})\n`);
+
+  // 1. Fetch Gospel reference — unless overrides/<date>.json pins it
+  const override = readOverride(isoDate);
+  const pinned = pinnedReference(override, PRIMARY_PROFILE);
+  const gospel = pinned
+    ? { reference: pinned, referenceDisplay: toGermanDisplayReference(pinned), title: 'Daily Gospel', source: 'override' }
+    : await fetchGospelReference(isoDate);
+  console.log(`📖 Gospel: ${gospel.referenceDisplay} (${gospel.reference})${pinned ? ' — pinned by override' : ''}\n`);
+
+  // 1b. Regional calendars — German and Polish dioceses keep their own feasts and transfers
+  const regions = await fetchRegionalGospels(isoDate, gospel, override);
+  const differences = findRegionalDifferences(regions);
+  for (const diff of differences) {
+    const message = `Regional calendars disagree on ${isoDate}: ${diff.profile} reads ${diff.reference}, ${PRIMARY_PROFILE} reads ${diff.primaryReference}`;
+    console.warn(`⚠️ ${message}`);
+    if (process.env.GITHUB_ACTIONS) console.log(`::warning title=Regional Gospel differs::${message}`);
   }
-  if (!parsed.tieferReingehen?.titel || !parsed.tieferReingehen?.text) {
-    throw new Error('Missing tieferReingehen fields');
+
+  // 2. Fetch Bible text (Bolls.life, public domain, no API key needed) — per language from its own profile,
+  //    for the languages live on the date (a backfill before a language's `since` leaves it out)
+  //    Non-critical — continues even if it fails
+  const languages = languagesOn(isoDate);
+  let gospelTexts = null;
+  try {
+    gospelTexts = await fetchRegionalBibleTexts(regions, languages);
+  } catch (err) {
+    console.warn('⚠️ Bible text fetch failed (non-critical):', err.message);
   }
-  if (!Array.isArray(parsed.tieferReingehen.gedanken)) {
-    parsed.tieferReingehen.gedanken = [parsed.tieferReingehen.gedanken || ''];
+
+  // 3. Other readings of the day (first reading, psalm, second reading, acclamation) — primary profile
+  //    Non-critical — each missing reading is null, the Gospel ships regardless
+  const readingRefs = await fetchReadingReferences(isoDate, gospel);
+  const readings = await fetchReadings(readingRefs, differences.length === 0 ? gospelTexts : null, languages);
+
+  // 3b. Saints of the day — per language from its calendar's Evangelizo feed, else the bundled sanctorale.json
+  //     Non-critical — a failing feed falls back, anything worse leaves the day without saints
+  let saints = null;
+  try {
+    console.log('\n📿 Saints of the day');
+    saints = await fetchSaints(isoDate, SAINT_LANGUAGES.map((lang) => ({
+      lang,
+      profile: LANGUAGE_PROFILES[lang],
+      feed: PROFILE_FEEDS[LANGUAGE_PROFILES[lang]] || null,
+    })));
+  } catch (err) {
+    console.warn('⚠️ Saints of the day failed (non-critical):', err.message);
   }
 
-  return {
-    impuls: { title: stripFootnotes(parsed.impuls.title), text: stripFootnotes(parsed.impuls.text) },
-    mitnahme: {
-      title: stripFootnotes(parsed.mitnahme.title) || 'Eine Frage für heute',
-      text: stripFootnotes(parsed.mitnahme.text),
-    },
-    tieferReingehen: {
-      titel: stripFootnotes(parsed.tieferReingehen.titel),
-      text: stripFootnotes(parsed.tieferReingehen.text),
-      gedanken: parsed.tieferReingehen.gedanken.map(stripFootnotes),
-      uebung: stripFootnotes(parsed.tieferReingehen.uebung || ''),
+  // 4. Assemble the JSON (Evangelium + Lesungen, KI-Reflexion nur mit --reflections)
+  const output = {
+    schemaVersion: SCHEMA_VERSION, // schemas/impulse.v<N>.json
+    date: isoDate,
+    gospelRef: toGermanDisplayReference(regions[LANGUAGE_PROFILES.de].reference), // backwards compat (German, DE calendar)
+    gospelRefOriginal: gospel.reference, // primary (US) profile, as served by the source
+    gospelRefs: localizedRegionalReferences(regions), // per-language, each from its own calendar: { de: "Matthäus 6,1-6", ... }
+    generatedAt: new Date().toISOString(),
+    liturgy, // season, week, colour, rank, Sunday/weekday cycle — see scripts/liturgical-calendar.js
+    calendar: buildCalendarBlock(isoDate, regions, differences), // profile per language, regional Gospels, disagreements
+    ...(saints ? { saints: saints.saints } : {}), // { de: [{ id, name, rank, description }], ... } — see scripts/saints.js
+    gospelTexts: gospelTexts || null,
+    readings, // { firstReading, psalm, secondReading, acclamation, gospel } — null where the day has none
+    provenance: { // which source served the Gospel and the saints; generateImpulse adds the request log
+      gospel: { source: gospel.source, url: gospel.url || null, attempts: gospel.attempts || 0, fallback: gospel.source === 'usccb' },
+      ...(saints ? { saints: saints.provenance } : {}),
     },
   };
+
+  // 5. Reflections (opt-in) — per language, a failed or held-back language is null and the day ships regardless
+  if (reflections) {
+    console.log(`\n💭 Reflections via ${reflections.id}${reflections.model ? ` (${reflections.model})` : ''}`);
+    const refs = Object.fromEntries(languages.map((lang) => [lang, output.gospelRefs[lang]]));
+    const { impulses, checks, source } = await generateReflections(reflections, refs);
+    output.impulses = impulses;
+    output.reflectionSource = source;
+    output.reflectionChecks = checks; // guardrail scores — see scripts/guardrails.js
+  }
+
+  return output;
 }
 
-async function callMagisterium(gospelRef, lang) {
-  const { system, user } = buildPrompt(gospelRef, lang);
+// ── Command line: dates, ranges, repair, dry-run ───────────────────
+
+const IMPULSES_DIR = path.join(__dirname, '..', 'impulses');
+
+const USAGE = `Usage: node scripts/generate-impulse.js [options]
+
+  (no options)             generate today (Europe/Berlin) — the daily cron run
+  --date YYYY-MM-DD        generate one date
+  --from YYYY-MM-DD --to YYYY-MM-DD
+                           generate every date of a range (inclusive)
+  --ahead N                generate today and the N following days
+  --repair                 only (re)generate dates whose file is missing or broken
+  --dry-run                print what would be generated, fetch and write nothing
+  --reflections PROVIDER   also write the AI reflections (impulses.<lang>): magisterium,
+                           openai or fixture — default: $REFLECTION_PROVIDER, else none
+  --record                 save every response to recordings/<date>.json.gz
+  --replay                 regenerate from recordings/<date>.json.gz, no network at all
+  --help                   show this help
+
+Every date applies overrides/<date>.json (pinned reference, replaced or suppressed
+sections). Dates after today are written as drafts; impulses/latest.json is only
+updated when today's date is generated and approved (node scripts/review.js).`;
+
+/** Parse argv into { dates, repair, dryRun, reflections, http }. Throws on anything it does not understand. */
+function parseArgs(argv) {
+  const opts = {
+    date: null, from: null, to: null, ahead: null, repair: false, dryRun: false, help: false,
+    reflections: process.env.REFLECTION_PROVIDER || null, record: false, replay: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--date') opts.date = value();
+    else if (arg === '--from') opts.from = value();
+    else if (arg === '--to') opts.to = value();
+    else if (arg === '--ahead') opts.ahead = value();
+    else if (arg === '--repair') opts.repair = true;
+    else if (arg === '--dry-run') opts.dryRun = true;
+    else if (arg === '--reflections') opts.reflections = value();
+    else if (arg === '--record') opts.record = true;
+    else if (arg === '--replay') opts.replay = true;
+    else if (arg === '--help' || arg === '-h') opts.help = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  const modes = [opts.date !== null, opts.from !== null || opts.to !== null, opts.ahead !== null].filter(Boolean).length;
+  if (modes > 1) throw new Error('Use only one of --date, --from/--to, --ahead');
+  if (opts.record && opts.replay) throw new Error('Use only one of --record, --replay');
 
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
+  const today = getLocalIsoDate();
+  let dates = [today];
+  if (opts.date !== null) {
+    if (!isIsoDate(opts.date)) throw new Error(`Invalid date: ${opts.date}`);
+    dates = [opts.date];
+  } else if (opts.from !== null || opts.to !== null) {
+    if (!isIsoDate(opts.from) || !isIsoDate(opts.to)) throw new Error('--from and --to both need a YYYY-MM-DD date');
+    if (opts.from > opts.to) throw new Error(`--from ${opts.from} is after --to ${opts.to}`);
+    dates = [];
+    for (let d = opts.from; d <= opts.to; d = shiftIsoDate(d, 1)) dates.push(d);
+  } else if (opts.ahead !== null) {
+    const n = Number(opts.ahead);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`--ahead needs a whole number of days, got ${opts.ahead}`);
+    dates = Array.from({ length: n + 1 }, (_, k) => shiftIsoDate(today, k));
+  }
 
+  const http = opts.record ? 'record' : opts.replay ? 'replay' : 'live';
+  return { dates, today, repair: opts.repair, dryRun: opts.dryRun, reflections: opts.reflections, http, help: opts.help };
+}
+
+/**
+ * Why a day's file needs (re)generating, or null when it is complete.
+ * Complete = parseable and a Gospel text for every language the registry had on that date
+ * (`since` in languages.json — days before a language was added are not broken).
+ */
+function findImpulseProblem(isoDate) {
+  const file = path.join(IMPULSES_DIR, `${isoDate}.json`);
+  if (!fs.existsSync(file)) return 'missing';
+  let data;
   try {
-    console.log(`  Calling Magisterium API for lang=${lang}...`);
-    const resp = await fetch(MAGISTERIUM_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${API_KEY}`,
-      },
-      body: JSON.stringify({
-        messages: [
-          { role: 'system', content: system },
-          { role: 'user', content: user },
-        ],
-      }),
-      signal: controller.signal,
-    });
-
-    if (!resp.ok) {
-      const body = await resp.text().catch(() => '');
-      throw new Error(`Magisterium API ${resp.status}: ${body.substring(0, 200)}`);
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    return `unreadable (${err.message})`;
+  }
+  if (!data.gospelTexts) return 'gospelTexts null';
+  const missing = languagesOn(isoDate).filter((lang) => !data.gospelTexts[lang]?.text);
+  if (missing.length > 0) return `no Gospel text for ${missing.join(', ')}`;
+  return null;
+}
+
+// Written for one passage — carried over only while the day keeps it
+const REFLECTION_FIELDS = ['impulses', 'reflectionSource', 'reflectionChecks'];
+
+/** Whether two versions of a day read the same Gospel: the primary one and every regional one both name. */
+function sameGospel(previous, output) {
+  const key = (reference) => (reference ? referenceKey(reference) : null);
+  if (key(previous.gospelRefOriginal) !== key(output.gospelRefOriginal)) return false;
+  const regions = output.calendar?.regions || {};
+  return Object.entries(previous.calendar?.regions || {})
+    .every(([profile, region]) => !regions[profile] || key(region.gospelRef) === key(regions[profile].gospelRef));
+}
+
+/**
+ * Write one day's file. Fields of an existing file that this run did not produce
+ * (`impulses` reflections without --reflections) are carried over, not dropped — the
+ * reflections only while the Gospel is unchanged, since they were written for it. Then
+ * overrides/<date>.json is applied and the review state set. latest.json only moves when
+ * the date is today and the day is approved. Throws — writing nothing — when the result
+ * does not match the schema, so clients never see a malformed day.
+ */
+function writeImpulse(isoDate, output, today) {
+  fs.mkdirSync(IMPULSES_DIR, { recursive: true });
+  const datePath = path.join(IMPULSES_DIR, `${isoDate}.json`);
+
+  let merged = output;
+  let previous = null;
+  if (fs.existsSync(datePath)) {
+    try {
+      previous = JSON.parse(fs.readFileSync(datePath, 'utf-8'));
+      merged = { ...output };
+      const stale = sameGospel(previous, output) ? [] : REFLECTION_FIELDS;
+      for (const [key, value] of Object.entries(previous)) {
+        if (!(key in merged) && !stale.includes(key)) merged[key] = value;
+      }
+      if (stale.some((key) => key in previous && !(key in output))) {
+        console.log(`  🗑️ Reflections dropped — written for ${previous.gospelRefOriginal}, the day now reads ${output.gospelRefOriginal}`);
+      }
+    } catch {
+      // unreadable old file — replaced as a whole
     }
+  }
 
-    const data = await resp.json();
-    const content = data?.choices?.[0]?.message?.content;
-    if (!content) throw new Error('Empty response from Magisterium API');
+  const override = readOverride(isoDate);
+  merged = applyOverride(merged, override);
+  merged.review = reviewState(isoDate, today, override, previous);
+  for (const applied of merged.overrides?.applied || []) console.log(`  ✏️ override: ${applied}`);
 
-    const impulse = parseImpulseJson(content);
-    console.log(`  ✅ ${lang}: "${impulse.impuls.title}"`);
-    return impulse;
-  } finally {
-    clearTimeout(timeout);
+  const problems = validateImpulse(merged);
+  if (problems.length > 0) {
+    for (const problem of problems.slice(0, 20)) console.error(`  ❌ ${problem}`);
+    throw new Error(`impulses/${isoDate}.json fails schema v${SCHEMA_VERSION} (${problems.length} problem(s)) — not written`);
   }
-}
 
-// ── Main ───────────────────────────────────────────────────────────
+  const jsonStr = JSON.stringify(merged, null, 2);
+  fs.writeFileSync(datePath, jsonStr, 'utf-8');
+  console.log(`\n✅ Written: impulses/${isoDate}.json (${output.reflectionSource ? `mit KI-Reflexion: ${output.reflectionSource.provider}` : 'Tagesevangelium, ohne KI'})`);
+
+  if (isoDate === today && isApproved(merged)) {
+    fs.writeFileSync(path.join(IMPULSES_DIR, 'latest.json'), jsonStr, 'utf-8');
+    console.log(`✅ Written: impulses/latest.json\n`);
+  } else if (isoDate === today) {
+    const message = `impulses/${isoDate}.json is a draft — latest.json stays until it is approved (node scripts/review.js approve ${isoDate})`;
+    console.warn(`⚠️ ${message}`);
+    if (process.env.GITHUB_ACTIONS) console.log(`::warning title=Awaiting approval::${message}`);
+  } else if (merged.review.status === 'draft') {
+    console.log(`📝 Draft — approve before ${isoDate} with: node scripts/review.js approve ${isoDate}`);
+  }
+}
 
-async function main() {
-  // Seit 01.06.2026: KEINE KI-Reflexion mehr (Magisterium entfernt).
-  // Dieses Script erzeugt nur noch das Tagesevangelium (Referenz + Bibeltext)
-  // aus öffentlichen Quellen — Grundlage für die TTS-Audio-Generierung.
-  const today = getLocalIsoDate();
-  console.log(`\n📅 Generating impulse for ${today}\n`);
+/** After a day was written: its archive index entry and month bundle, and its narration scripts. Non-critical. */
+function writeDayOutputs(isoDate) {
+  try {
+    updateArchiveIndex(isoDate);
+  } catch (err) {
+    console.warn(`⚠️ Archive index not updated (non-critical, rebuild with scripts/archive-index.js):`, err.message);
+  }
+  try {
+    const languages = writeNarration(isoDate);
+    if (languages.length > 0) console.log(`🎙️ Narration: narration/${isoDate}/ (${languages.join(', ')})`);
+  } catch (err) {
+    console.warn(`⚠️ Narration not written (non-critical, rerun scripts/narration.js --date ${isoDate}):`, err.message);
+  }
+}
 
-  // 1. Fetch Gospel reference
-  let gospel;
+/** After the days of a run were written: the feeds and the reading pages, built from the whole archive. Non-critical. */
+function writeArchiveOutputs(today) {
   try {
-    gospel = await fetchGospelReference(today);
-    console.log(`📖 Gospel: ${gospel.referenceDisplay} (${gospel.reference})\n`);
+    writeFeeds({ today });
   } catch (err) {
-    console.error('❌ Failed to fetch Gospel reference:', err.message);
-    process.exit(1);
+    console.warn(`⚠️ Feeds not written (non-critical, rerun scripts/feeds.js):`, err.message);
   }
+  try {
+    writePages({ today });
+  } catch (err) {
+    console.warn(`⚠️ Reading pages not written (non-critical, rerun scripts/pages.js):`, err.message);
+  }
+}
 
-  // 2. Fetch Bible text (Bolls.life, public domain, no API key needed)
-  //    Non-critical — continues even if it fails
-  let gospelTexts = null;
+async function main() {
+  let args;
   try {
-    gospelTexts = await fetchAllBibleTexts(gospel.reference);
+    args = parseArgs(process.argv.slice(2));
   } catch (err) {
-    console.warn('⚠️ Bible text fetch failed (non-critical):', err.message);
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return;
   }
 
-  // 3. Write JSON files (nur Evangelium — keine KI-Reflexion)
-  const gospelRefs = {};
-  for (const lang of LANGUAGES) {
-    gospelRefs[lang] = toLocalizedDisplayReference(gospel.reference, lang);
+  setHttpMode(args.http);
+  let reflections = null;
+  if (args.reflections && !args.dryRun) {
+    try {
+      reflections = createProvider(args.reflections);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(2);
+    }
   }
 
-  const output = {
-    date: today,
-    gospelRef: gospel.referenceDisplay, // backwards compat (German)
-    gospelRefOriginal: gospel.reference,
-    gospelRefs, // per-language: { de: "Matthäus 6,1-6", en: "Matthew 6,1-6", pl: "Mateusz 6,1-6" }
-    generatedAt: new Date().toISOString(),
-    gospelTexts: gospelTexts || null,
-  };
+  const plan = args.dates.map((date) => {
+    const problem = args.repair ? findImpulseProblem(date) : null;
+    return { date, problem, skip: args.repair && !problem };
+  });
 
-  const impulsesDir = path.join(__dirname, '..', 'impulses');
-  fs.mkdirSync(impulsesDir, { recursive: true });
+  if (args.dryRun || plan.length > 1) {
+    console.log(`📅 ${plan.length} date(s)${args.repair ? ' — repair mode' : ''}${args.reflections ? ` — reflections: ${args.reflections}` : ''}${args.http !== 'live' ? ` — ${args.http}` : ''}${args.dryRun ? ' — dry run' : ''}`);
+    for (const { date, problem, skip } of plan) {
+      const action = skip ? 'skip (complete)' : problem ? `generate (${problem})` : 'generate';
+      console.log(`  ${date}  ${action}${date === args.today ? '  + latest.json' : ''}`);
+    }
+  }
+  if (args.dryRun) return;
+
+  const failed = [];
+  for (const { date, skip } of plan) {
+    if (skip) continue;
+    try {
+      writeImpulse(date, await generateImpulse(date, { reflections }), args.today);
+    } catch (err) {
+      console.error(`❌ ${date}: generation failed:`, err.message);
+      failed.push(date);
+      continue;
+    }
+    // A regenerated day keeps its old audio until the sidecar runs again — say so if the text changed
+    try {
+      for (const finding of auditDay(date).findings.filter((f) => f.message.includes('stale'))) {
+        console.warn(`  ⚠️ ${finding.file}: ${finding.message}`);
+        if (process.env.GITHUB_ACTIONS) console.log(`::warning title=Stale audio::${finding.file}: ${finding.message}`);
+      }
+    } catch (err) {
+      console.warn(`⚠️ Audio audit failed (non-critical, rerun scripts/audit-audio.js --date ${date}):`, err.message);
+    }
+    writeDayOutputs(date);
+  }
 
-  const datePath = path.join(impulsesDir, `${today}.json`);
-  const latestPath = path.join(impulsesDir, 'latest.json');
-  const jsonStr = JSON.stringify(output, null, 2);
+  if (failed.length < plan.filter((p) => !p.skip).length) writeArchiveOutputs(args.today);
 
-  fs.writeFileSync(datePath, jsonStr, 'utf-8');
-  fs.writeFileSync(latestPath, jsonStr, 'utf-8');
+  // Also after failures — the report is where they show up
+  try {
+    writeHealthReport({ today: args.today });
+  } catch (err) {
+    console.warn(`⚠️ Health report not written (non-critical, rerun scripts/health-report.js):`, err.message);
+  }
 
-  console.log(`\n✅ Written: impulses/${today}.json (Tagesevangelium, ohne KI)`);
-  console.log(`✅ Written: impulses/latest.json\n`);
+  if (failed.length > 0) {
+    console.error(`\n❌ ${failed.length} of ${plan.filter((p) => !p.skip).length} date(s) failed: ${failed.join(', ')}`);
+    process.exit(1);
+  }
 }
 
-main().catch((err) => {
-  console.error('❌ Unexpected error:', err);
-  process.exit(1);
-});
+module.exports = {
+  findImpulseProblem,
+  generateImpulse,
+  parseArgs,
+  parseReference,
+  writeArchiveOutputs,
+  writeDayOutputs,
+  writeImpulse,
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ Unexpected error:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * Guardrails — scores a generated reflection against the rules buildPrompt states.
+ *
+ * Errors:   a field written in another language, footnote markers, a Catechism paragraph
+ *           outside 1–2865, not exactly 3 `gedanken`.
+ * Warnings: fear or moralizing wording and discouraged words (word lists per language in
+ *           languages.json › guardrails), more or fewer than 2–3 sentences in `impuls`,
+ *           a `mitnahme` that is no question, over-long fields.
+ *
+ * Score = 100 − 30 per error − 10 per warning. A reflection passes with no errors and a score of
+ * at least REFLECTION_MIN_SCORE (default 70); scripts/reflections.js asks again otherwise and
+ * holds the language back when no attempt passes.
+ *
+ * Usage: node scripts/guardrails.js [--date YYYY-MM-DD] [--verbose]   (scores the archive)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ── Configuration ──────────────────────────────────────────────────
+const IMPULSES_DIR = path.join(__dirname, '..', 'impulses');
+const DATED_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+const LANGUAGE_REGISTRY = require('../languages.json').languages;
+const LANGUAGE_BY_CODE = Object.fromEntries(LANGUAGE_REGISTRY.map((l) => [l.code, l]));
+
+const MIN_SCORE = Number(process.env.REFLECTION_MIN_SCORE) || 70;
+const PENALTY = { error: 30, warning: 10 };
+const CCC_PARAGRAPHS = 2865; // Catechism of the Catholic Church, §1–§2865
+const GEDANKEN = 3;
+const IMPULS_SENTENCES = { min: 2, max: 3 };
+const MAX_LENGTH = { title: 80, 'impuls.text': 600, 'mitnahme.text': 300, 'tieferReingehen.text': 1200, gedanke: 450, uebung: 600 };
+// Language detection needs a few stopwords to go on; shorter fields are not judged
+const MIN_STOPWORDS = 4;
+
+const WORD = /\p{L}+/gu;
+const FOOTNOTE = /\[\^?\d+\^?\]|[¹²³⁴⁵⁶⁷⁸⁹⁰]+/u;
+// "KKK 976, 981", "CCC 151-152", "Katechismus (KKK 2583)", "Katechizm (1334)", "CEC n. 1822"
+const CCC_CITATION = /(?:\b(?:KKK|CCC|CEC|CIgC)\b\.?|\b(?:Katechism|Katechizm|Catechism|Catecismo|Catechismo|Catéchisme)\p{L}*\s*\(?)\s*(?:Nr\.|nr|n\.|no\.|§)?\s*(\d+(?:\s*[-–,;]\s*\d+)*)/giu;
+// Quoted passages, checked on their own for quotes in another language
+const QUOTE = /[„“”"«»]([^„“”"«»]{20,})[„“”"«»]/gu;
+
+const STOPWORDS = Object.fromEntries(LANGUAGE_REGISTRY.map((l) => [l.code, new Set(l.guardrails?.stopwords || [])]));
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** List entries match whole words; one ending in `*` is a stem: "verdamm*" catches "verdammt", "Verdammnis". */
+function wordListPattern(entries) {
+  if (entries.length === 0) return null;
+  const alternatives = entries.map((entry) => {
+    const stem = entry.endsWith('*');
+    return escapeRegExp(stem ? entry.slice(0, -1) : entry).replace(/\s+/g, '\\s+') + (stem ? '' : '(?!\\p{L})');
+  });
+  return new RegExp(`(?<!\\p{L})(?:${alternatives.join('|')})`, 'giu');
+}
+
+const AVOID = Object.fromEntries(LANGUAGE_REGISTRY.map((l) => [l.code, wordListPattern(l.guardrails?.avoid || [])]));
+const PREFER = Object.fromEntries(LANGUAGE_REGISTRY.map((l) => [l.code,
+  Object.entries(l.guardrails?.prefer || {}).map(([word, preferred]) => ({ word: word.replace(/\*$/, ''), preferred, pattern: wordListPattern([word]) }))]));
+
+// ── Helpers ────────────────────────────────────────────────────────
+
+/** Every text of a reflection as [field, text]. */
+function reflectionFields(block) {
+  return [
+    ['impuls.title', block.impuls?.title],
+    ['impuls.text', block.impuls?.text],
+    ['mitnahme.text', block.mitnahme?.text],
+    ['tieferReingehen.titel', block.tieferReingehen?.titel],
+    ['tieferReingehen.text', block.tieferReingehen?.text],
+    ...(block.tieferReingehen?.gedanken || []).map((g, i) => [`tieferReingehen.gedanken[${i}]`, g]),
+    ['tieferReingehen.uebung', block.tieferReingehen?.uebung],
+  ].filter(([, text]) => typeof text === 'string' && text.length > 0);
+}
+
+/** The registry language whose stopwords `text` uses most: { lang, hits }, or null when too few to tell. */
+function detectLanguage(text) {
+  const words = (text.toLowerCase().match(WORD) || []);
+  let best = null;
+  for (const [code, stopwords] of Object.entries(STOPWORDS)) {
+    const hits = words.filter((w) => stopwords.has(w)).length;
+    if (!best || hits > best.hits) best = { lang: code, hits };
+  }
+  return best && best.hits >= MIN_STOPWORDS ? best : null;
+}
+
+function countSentences(text) {
+  // A sentence ends at . ! ? … followed by whitespace and an upper-case letter, or at the end
+  return text.split(/(?<=[.!?…])["”“»]?\s+(?=["„“«]?\p{Lu})/u).filter((s) => s.trim()).length;
+}
+
+// ── Rules ──────────────────────────────────────────────────────────
+// Each rule returns findings { level, field, message }; the engine adds the rule id.
+
+const RULES = {
+  language(block, lang) {
+    const findings = [];
+    for (const [field, text] of reflectionFields(block)) {
+      const detected = detectLanguage(text);
+      if (detected && detected.lang !== lang) {
+        findings.push({ level: 'error', field, message: `reads as ${detected.lang}, expected ${lang}` });
+        continue;
+      }
+      for (const [, quote] of text.matchAll(QUOTE)) {
+        const quoted = detectLanguage(quote);
+        if (quoted && quoted.lang !== lang) {
+          findings.push({ level: 'error', field, message: `quotes in ${quoted.lang}: "${quote.slice(0, 40)}…"` });
+        }
+      }
+    }
+    return findings;
+  },
+
+  footnotes(block) {
+    return reflectionFields(block)
+      .filter(([, text]) => FOOTNOTE.test(text))
+      .map(([field, text]) => ({ level: 'error', field, message: `footnote marker ${text.match(FOOTNOTE)[0]}` }));
+  },
+
+  catechism(block) {
+    const findings = [];
+    for (const [field, text] of reflectionFields(block)) {
+      for (const match of text.matchAll(CCC_CITATION)) {
+        const numbers = match[1].split(/\s*[-–,;]\s*/).map(Number);
+        const invalid = numbers.filter((n) => n < 1 || n > CCC_PARAGRAPHS);
+        if (invalid.length > 0) {
+          findings.push({ level: 'error', field, message: `Catechism paragraph ${invalid.join(', ')} does not exist (1–${CCC_PARAGRAPHS})` });
+        }
+      }
+    }
+    return findings;
+  },
+
+  structure(block) {
+    const findings = [];
+    const count = block.tieferReingehen?.gedanken?.length || 0;
+    if (count !== GEDANKEN) findings.push({ level: 'error', field: 'tieferReingehen.gedanken', message: `${count} gedanken, expected ${GEDANKEN}` });
+    const sentences = block.impuls?.text ? countSentences(block.impuls.text) : 0;
+    if (sentences < IMPULS_SENTENCES.min || sentences > IMPULS_SENTENCES.max) {
+      findings.push({ level: 'warning', field: 'impuls.text', message: `${sentences} sentence(s), expected ${IMPULS_SENTENCES.min}–${IMPULS_SENTENCES.max}` });
+    }
+    if (block.mitnahme?.text && !/\?\s*$/.test(block.mitnahme.text)) {
+      findings.push({ level: 'warning', field: 'mitnahme.text', message: 'not a question' });
+    }
+    return findings;
+  },
+
+  length(block) {
+    const findings = [];
+    for (const [field, text] of reflectionFields(block)) {
+      const key = /title|titel/.test(field) ? 'title'
+        : field.includes('gedanken') ? 'gedanke'
+        : field.endsWith('uebung') ? 'uebung' : field;
+      if (MAX_LENGTH[key] && text.length > MAX_LENGTH[key]) {
+        findings.push({ level: 'warning', field, message: `${text.length} characters, limit ${MAX_LENGTH[key]}` });
+      }
+    }
+    return findings;
+  },
+
+  wording(block, lang) {
+    const findings = [];
+    for (const [field, text] of reflectionFields(block)) {
+      const avoided = AVOID[lang] ? [...new Set((text.match(AVOID[lang]) || []).map((w) => w.toLowerCase()))] : [];
+      if (avoided.length > 0) findings.push({ level: 'warning', field, message: `fear or moralizing wording: ${avoided.join(', ')}` });
+      for (const { word, preferred, pattern } of PREFER[lang] || []) {
+        if (text.search(pattern) !== -1) findings.push({ level: 'warning', field, message: `"${preferred}" preferred over "${word}"` });
+        pattern.lastIndex = 0;
+      }
+    }
+    return findings;
+  },
+};
+
+// ── Engine ─────────────────────────────────────────────────────────
+
+/** Score one language's reflection: { score, passed, findings: [{ rule, level, field, message }] }. */
+function checkReflection(block, lang) {
+  const findings = Object.entries(RULES).flatMap(([rule, check]) => check(block, lang).map((f) => ({ rule, ...f })));
+  const errors = findings.filter((f) => f.level === 'error').length;
+  const score = Math.max(0, 100 - errors * PENALTY.error - (findings.length - errors) * PENALTY.warning);
+  return { score, passed: errors === 0 && score >= MIN_SCORE, findings };
+}
+
+/** The findings as a correction request for the model. */
+function describeFindings(findings) {
+  return findings.map((f) => `- ${f.field}: ${f.message}`).join('\n');
+}
+
+/** Prompt lines for the discouraged words of `lang`, so the model hears the rules it is scored on. */
+function wordingRules(lang) {
+  return (PREFER[lang] || []).map(({ word, preferred }) => `- Schreibe „${preferred}“ statt „${word}“`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const dateIndex = args.indexOf('--date');
+  const date = dateIndex !== -1 ? args[dateIndex + 1] : null;
+  if (dateIndex !== -1 && !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    console.error('❌ --date needs a YYYY-MM-DD date');
+    process.exit(2);
+  }
+
+  const dates = date ? [date] : fs.readdirSync(IMPULSES_DIR).map((name) => name.match(DATED_FILE)?.[1]).filter(Boolean).sort();
+  const byRule = {};
+  let total = 0;
+  let passed = 0;
+  let scoreSum = 0;
+  for (const d of dates) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(IMPULSES_DIR, `${d}.json`), 'utf-8'));
+    } catch {
+      continue;
+    }
+    for (const [lang, block] of Object.entries(data.impulses || {})) {
+      if (!block || !LANGUAGE_BY_CODE[lang]) continue;
+      const result = checkReflection(block, lang);
+      total++;
+      scoreSum += result.score;
+      if (result.passed) passed++;
+      for (const f of result.findings) byRule[f.rule] = (byRule[f.rule] || 0) + 1;
+      if (!result.passed || (verbose && result.findings.length > 0)) {
+        console.log(`${result.passed ? '⚠️' : '❌'} ${d} ${lang}: score ${result.score}`);
+        for (const f of result.findings) console.log(`     ${f.level === 'error' ? '❌' : '⚠️'} ${f.rule} ${f.field}: ${f.message}`);
+      }
+    }
+  }
+
+  console.log(`\n${passed}/${total} reflection(s) pass (min score ${MIN_SCORE}), average score ${total ? Math.round(scoreSum / total) : '–'}`);
+  for (const [rule, count] of Object.entries(byRule)) console.log(`  ${rule}: ${count} finding(s)`);
+}
+
+module.exports = { checkReflection, describeFindings, detectLanguage, wordingRules };
+
+if (require.main === module) main();
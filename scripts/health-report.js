@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Health report — scans the whole archive and writes status/summary.json for the status dashboard.
+ *
+ * Per day:   status (ok | incomplete | null | missing), generation delay against the 00:01 CET
+ *            target of the primary cron run, the sources that served reference and text, audio tracks.
+ * Overall:   gaps, null-text days, incomplete and late days, source counts, audio coverage
+ *            per month and uptime percentages — from the first archived day up to today.
+ *            `updated` is the newest day's generation time, not the run's, so a rerun over an
+ *            unchanged archive leaves the committed file as it is.
+ *
+ * Usage: node scripts/health-report.js [--today YYYY-MM-DD]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLocalIsoDate, readJson, shiftIsoDate } = require('./shared');
+
+// ── Configuration ──────────────────────────────────────────────────
+const ROOT = path.join(__dirname, '..');
+const IMPULSES_DIR = path.join(ROOT, 'impulses');
+const AUDIO_STATUS_DIR = path.join(ROOT, 'audio-status');
+const SUMMARY_PATH = path.join(ROOT, 'status', 'summary.json');
+const LANGUAGE_REGISTRY = require('../languages.json').languages;
+const DATED_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+const TARGET_TIME = '00:01'; // CET, the primary cron run (23:01 UTC)
+const LATE_AFTER_MINUTES = 60;
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+/** UTC instant of TARGET_TIME on `isoDate` — CET all year, like the cron ('1 23 * * *' UTC). */
+function targetInstant(isoDate) {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  const [hour, minute] = TARGET_TIME.split(':').map(Number);
+  return Date.UTC(y, m - 1, d, hour - 1, minute);
+}
+
+// ── Days ───────────────────────────────────────────────────────────
+
+/** { de: ['gospel', 'lectio'], ... } from audio-status/<date>.json, or null when there is none. */
+function readAudioTracks(isoDate) {
+  const manifest = readJson(path.join(AUDIO_STATUS_DIR, `${isoDate}.json`));
+  if (!manifest) return null;
+  return Object.fromEntries(Object.entries(manifest.audio || {}).map(([lang, tracks]) => [lang, Object.keys(tracks || {})]));
+}
+
+function dayReport(isoDate, impulse) {
+  const languages = LANGUAGE_REGISTRY.filter((l) => l.since <= isoDate);
+  const audio = readAudioTracks(isoDate);
+  const audioComplete = !!audio && languages.filter((l) => l.audio).every((l) => (audio[l.code]?.length || 0) > 0);
+
+  if (!impulse) {
+    return { status: 'missing', audio, audioComplete };
+  }
+
+  const texts = Object.fromEntries(languages.map((l) => [l.code, !!impulse.gospelTexts?.[l.code]?.text]));
+  const missingLanguages = Object.keys(texts).filter((code) => !texts[code]);
+  const status = impulse.gospelTexts === null ? 'null' : missingLanguages.length > 0 ? 'incomplete' : 'ok';
+
+  const generatedAt = impulse.generatedAt || null;
+  const delayMinutes = generatedAt ? Math.round((Date.parse(generatedAt) - targetInstant(isoDate)) / 60000) : null;
+  const primary = impulse.calendar?.primary;
+
+  return {
+    status,
+    gospelRef: impulse.gospelRef || null,
+    generatedAt,
+    delayMinutes,
+    late: delayMinutes !== null && delayMinutes > LATE_AFTER_MINUTES,
+    referenceSource: impulse.calendar?.regions?.[primary]?.source || null,
+    textSources: Object.fromEntries(languages.map((l) => [l.code, impulse.gospelTexts?.[l.code]?.source || null])),
+    languages: texts,
+    missingLanguages,
+    audio,
+    audioComplete,
+  };
+}
+
+// ── Aggregation ────────────────────────────────────────────────────
+
+/** Consecutive missing dates as [{ from, to, days }]. */
+function gapRanges(dates) {
+  const gaps = [];
+  for (const date of dates) {
+    const last = gaps[gaps.length - 1];
+    if (last && shiftIsoDate(last.to, 1) === date) {
+      last.to = date;
+      last.days++;
+    } else {
+      gaps.push({ from: date, to: date, days: 1 });
+    }
+  }
+  return gaps;
+}
+
+function countBy(values) {
+  const counts = {};
+  for (const value of values) counts[value ?? 'unknown'] = (counts[value ?? 'unknown'] || 0) + 1;
+  return counts;
+}
+
+/** Counts and uptime percentages over a list of [date, day] pairs. */
+function aggregate(entries) {
+  const days = entries.map(([, day]) => day);
+  const present = days.filter((d) => d.status !== 'missing');
+  const withText = present.filter((d) => d.status !== 'null');
+  const ok = present.filter((d) => d.status === 'ok');
+  const timed = present.filter((d) => d.delayMinutes !== null);
+  const onTime = timed.filter((d) => !d.late);
+  const audioComplete = days.filter((d) => d.audioComplete);
+
+  const audioByLanguage = {};
+  for (const [date, day] of entries) {
+    for (const l of LANGUAGE_REGISTRY.filter((lang) => lang.audio && lang.since <= date)) {
+      audioByLanguage[l.code] ||= { days: 0, covered: 0 };
+      audioByLanguage[l.code].days++;
+      if ((day.audio?.[l.code]?.length || 0) > 0) audioByLanguage[l.code].covered++;
+    }
+  }
+
+  return {
+    days: days.length,
+    present: present.length,
+    missing: days.length - present.length,
+    nullText: present.length - withText.length,
+    incomplete: withText.length - ok.length,
+    late: timed.length - onTime.length,
+    audioComplete: audioComplete.length,
+    audio: Object.fromEntries(Object.entries(audioByLanguage).map(([code, a]) => [code, { ...a, percent: percent(a.covered, a.days) }])),
+    uptime: {
+      json: percent(present.length, days.length),
+      gospel: percent(withText.length, days.length),
+      complete: percent(ok.length, days.length),
+      onTime: percent(onTime.length, timed.length),
+      audio: percent(audioComplete.length, days.length),
+    },
+  };
+}
+
+/** The report object; `today` closes the range (later days generated ahead are left out). */
+function buildHealthReport({ today = getLocalIsoDate() } = {}) {
+  const dates = fs.readdirSync(IMPULSES_DIR)
+    .map((name) => name.match(DATED_FILE)?.[1])
+    .filter((date) => date && date <= today)
+    .sort();
+  const first = dates[0] || today;
+
+  const days = {};
+  for (let date = first; date <= today; date = shiftIsoDate(date, 1)) {
+    const impulse = dates.includes(date) ? readJson(path.join(IMPULSES_DIR, `${date}.json`)) : null;
+    days[date] = dayReport(date, impulse);
+  }
+  const entries = Object.entries(days);
+
+  const months = [...new Set(entries.map(([date]) => date.slice(0, 7)))].map((month) => ({
+    month,
+    ...aggregate(entries.filter(([date]) => date.startsWith(month))),
+  }));
+
+  return {
+    updated: entries.map(([, d]) => d.generatedAt).filter(Boolean).sort().pop() || null,
+    first,
+    last: today,
+    target: { time: `${TARGET_TIME} CET`, lateAfterMinutes: LATE_AFTER_MINUTES },
+    totals: aggregate(entries),
+    gaps: gapRanges(entries.filter(([, d]) => d.status === 'missing').map(([date]) => date)),
+    nullTextDays: entries.filter(([, d]) => d.status === 'null').map(([date]) => date),
+    incompleteDays: entries.filter(([, d]) => d.status === 'incomplete').map(([date, d]) => ({ date, languages: d.missingLanguages })),
+    lateDays: entries.filter(([, d]) => d.late).map(([date, d]) => ({ date, generatedAt: d.generatedAt, delayMinutes: d.delayMinutes })),
+    sources: {
+      reference: countBy(entries.filter(([, d]) => d.status !== 'missing').map(([, d]) => d.referenceSource)),
+      text: countBy(entries.flatMap(([, d]) => Object.values(d.textSources || {}))),
+    },
+    months,
+    days,
+  };
+}
+
+function writeHealthReport(options) {
+  const report = buildHealthReport(options);
+  fs.mkdirSync(path.dirname(SUMMARY_PATH), { recursive: true });
+  fs.writeFileSync(SUMMARY_PATH, JSON.stringify(report, null, 2), 'utf-8');
+  const { totals } = report;
+  console.log(`✅ Health report: ${totals.present}/${totals.days} days, ${report.gaps.length} gap(s), ${report.nullTextDays.length} null-text day(s), uptime ${totals.uptime.complete}%`);
+  return report;
+}
+
+module.exports = { buildHealthReport, writeHealthReport };
+
+if (require.main === module) {
+  const todayIndex = process.argv.indexOf('--today');
+  const today = todayIndex !== -1 ? process.argv[todayIndex + 1] : undefined;
+  if (today !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(today || '')) {
+    console.error('❌ --today needs a YYYY-MM-DD date');
+    process.exit(2);
+  }
+  writeHealthReport({ today });
+}
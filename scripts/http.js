@@ -0,0 +1,152 @@
+/**
+ * HTTP layer for every source the generator reads — timeouts, bounded exponential backoff,
+ * a request log for the day's `provenance`, and record/replay.
+ *
+ *   live    requests go to the network
+ *   record  like live, and every attempt's outcome is saved to recordings/<date>.json.gz
+ *   replay  nothing leaves the machine: each request gets the outcome recorded for it, in order,
+ *           so a past day (failures included) regenerates exactly as it ran
+ *
+ * request() resolves with the last HTTP response, ok or not, and rejects only when no attempt
+ * got a response at all (network error, timeout). Network errors, timeouts, 429 and 5xx are
+ * retried; other statuses are final.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// ── Configuration ──────────────────────────────────────────────────
+const RECORDINGS_DIR = path.join(__dirname, '..', 'recordings');
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_ATTEMPTS = Number(process.env.HTTP_ATTEMPTS) || 3;
+const BACKOFF = { baseMs: 1000, maxMs: 8000 }; // 1 s, 2 s, 4 s, 8 s, 8 s …
+const MODES = ['live', 'record', 'replay'];
+
+let mode = 'live';
+let session = null; // the day being generated: { date, requests, exchanges, replay }
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function recordingPath(isoDate) {
+  return path.join(RECORDINGS_DIR, `${isoDate}.json.gz`);
+}
+
+function exchangeKey(method, url, body) {
+  return `${method} ${url}${body ? ` ${body}` : ''}`;
+}
+
+function setHttpMode(value) {
+  if (!MODES.includes(value)) throw new Error(`Unknown HTTP mode "${value}" (${MODES.join(', ')})`);
+  mode = value;
+}
+
+// ── Sessions ───────────────────────────────────────────────────────
+
+/** Start logging (and recording or replaying) the requests of one day. */
+function openSession(isoDate) {
+  session = { date: isoDate, requests: [], exchanges: [], replay: null };
+  if (mode !== 'replay') return;
+
+  const file = recordingPath(isoDate);
+  if (!fs.existsSync(file)) {
+    session = null;
+    throw new Error(`No recording for ${isoDate} (recordings/${isoDate}.json.gz) — record it with --record first`);
+  }
+  const recording = JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString('utf-8'));
+  // Every request gets the next exchange recorded under its key; the last one repeats
+  session.replay = new Map();
+  for (const exchange of recording.exchanges) {
+    const key = exchangeKey(exchange.method, exchange.url, exchange.body);
+    if (!session.replay.has(key)) session.replay.set(key, []);
+    session.replay.get(key).push(exchange);
+  }
+  console.log(`⏪ Replaying ${recording.exchanges.length} recorded request(s) from ${recording.recordedAt}`);
+}
+
+/**
+ * End the day's session and return its provenance: { mode, recording?, requests }.
+ * In record mode the recording is written here — also when the day failed, which is when it matters.
+ */
+function closeSession() {
+  if (!session) return null;
+  const { date, requests, exchanges } = session;
+  session = null;
+
+  if (mode === 'record') {
+    fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+    const recording = { date, recordedAt: new Date().toISOString(), exchanges };
+    fs.writeFileSync(recordingPath(date), zlib.gzipSync(JSON.stringify(recording)));
+    console.log(`⏺️ Recorded ${exchanges.length} request(s) to recordings/${date}.json.gz`);
+  }
+  return {
+    mode,
+    ...(mode !== 'live' ? { recording: `recordings/${date}.json.gz` } : {}),
+    requests,
+  };
+}
+
+// ── Requests ───────────────────────────────────────────────────────
+
+/** One attempt against the network: { status, body } or { error }. */
+async function attemptLive(url, { method, headers, body, timeoutMs }) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await fetch(url, { method, headers, body, signal: controller.signal });
+    return { status: resp.status, body: await resp.text() };
+  } catch (err) {
+    return { error: err.name === 'AbortError' ? `timeout after ${timeoutMs / 1000}s` : err.message };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/** One attempt from the recording: the recorded attempts of the next exchange for this request. */
+function nextReplayedExchange(key) {
+  const queue = session.replay.get(key);
+  if (!queue || queue.length === 0) return null;
+  return queue.length > 1 ? queue.shift() : queue[0];
+}
+
+const isRetryable = (outcome) => outcome.error !== undefined || outcome.status === 429 || outcome.status >= 500;
+
+/**
+ * Request `url` with retries. Returns { ok, status, body, url, attempts }; throws when no attempt
+ * got a response. `attempts: 1` leaves retrying to the caller (the reflection stage does its own).
+ */
+async function request(url, { method = 'GET', headers = {}, body = null, timeoutMs = DEFAULT_TIMEOUT_MS, attempts = DEFAULT_ATTEMPTS } = {}) {
+  const key = exchangeKey(method, url, body);
+  const replayed = session?.replay ? nextReplayedExchange(key) : null;
+  if (session?.replay && !replayed) throw new Error(`not recorded: ${method} ${url}`);
+
+  const outcomes = [];
+  let outcome;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    outcome = replayed
+      ? replayed.attempts[Math.min(attempt, replayed.attempts.length) - 1]
+      : await attemptLive(url, { method, headers, body, timeoutMs });
+    outcomes.push(outcome);
+    if (!isRetryable(outcome) || attempt === attempts || (replayed && attempt >= replayed.attempts.length)) break;
+
+    const delay = Math.min(BACKOFF.baseMs * 2 ** (attempt - 1), BACKOFF.maxMs);
+    console.warn(`  ↻ ${url}: ${outcome.error || `HTTP ${outcome.status}`} — retrying in ${delay / 1000}s (${attempt}/${attempts})`);
+    if (!replayed) await sleep(delay);
+  }
+
+  if (session) {
+    session.exchanges.push({ method, url, body, attempts: outcomes });
+    session.requests.push({
+      url,
+      status: outcome.status ?? null,
+      attempts: outcomes.length,
+      ...(outcome.error ? { error: outcome.error } : {}),
+    });
+  }
+
+  if (outcome.error) throw new Error(`${url}: ${outcome.error} (${outcomes.length} attempt(s))`);
+  const ok = outcome.status >= 200 && outcome.status < 300;
+  return { ok, status: outcome.status, body: outcome.body, url, attempts: outcomes.length };
+}
+
+module.exports = { closeSession, openSession, request, setHttpMode };
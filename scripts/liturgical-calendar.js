@@ -0,0 +1,679 @@
+#!/usr/bin/env node
+
+/**
+ * Offline liturgical calendar for Lumen (Roman Rite, General Roman Calendar).
+ *
+ * Computes everything from the date alone — no network:
+ * season + week, liturgical colour, rank, Sunday cycle (A/B/C), weekday cycle (I/II)
+ * and localized day names in de/en/pl ("Dienstag der 21. Woche im Jahreskreis").
+ *
+ * Precedence follows the Table of Liturgical Days (Universal Norms, no. 59);
+ * impeded solemnities are transferred per no. 60 and the Circular Letter on Easter.
+ *
+ * Regional profiles (DE, PL, US) layer national propers and transfers (Epiphany,
+ * Ascension, Corpus Christi on Sunday) over the General Roman Calendar (GRC).
+ * The GRC's Proper of Saints, optional memorials included, is in sanctorale.json;
+ * getSaintsOfDay lists a date's saints with the rank each is kept with.
+ *
+ * Usage: node scripts/liturgical-calendar.js [YYYY-MM-DD] [GRC|DE|PL|US]
+ */
+
+const { getLocalIsoDate } = require('./shared');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── Date helpers (all dates are UTC midnight — no DST surprises) ──
+
+function parseIsoDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
+
+/** Gregorian Easter Sunday (Anonymous Gregorian / Meeus–Jones–Butcher algorithm). */
+function computeEaster(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/** First Sunday of Advent: the fourth Sunday before Christmas (27 Nov – 3 Dec). */
+function firstSundayOfAdvent(year) {
+  const christmas = new Date(Date.UTC(year, 11, 25));
+  return addDays(christmas, -(christmas.getUTCDay() || 7) - 21);
+}
+
+/** Epiphany: 6 January, or the Sunday between 2 and 8 January where it is transferred. */
+function epiphany(year, profile) {
+  if (!profile.epiphanyOnSunday) return new Date(Date.UTC(year, 0, 6));
+  const jan2 = new Date(Date.UTC(year, 0, 2));
+  return addDays(jan2, (7 - jan2.getUTCDay()) % 7);
+}
+
+/**
+ * Baptism of the Lord: the Sunday after Epiphany — or the Monday after it,
+ * when a transferred Epiphany falls on 7 or 8 January.
+ */
+function baptismOfTheLord(year, profile) {
+  const epiphanyDate = epiphany(year, profile);
+  if (profile.epiphanyOnSunday && epiphanyDate.getUTCDate() >= 7) return addDays(epiphanyDate, 1);
+  return addDays(epiphanyDate, 7 - epiphanyDate.getUTCDay());
+}
+
+/** Holy Family: Sunday within the Christmas octave, or 30 December when there is none. */
+function holyFamily(year) {
+  const christmas = new Date(Date.UTC(year, 11, 25));
+  if (christmas.getUTCDay() === 0) return new Date(Date.UTC(year, 11, 30));
+  return addDays(christmas, 7 - christmas.getUTCDay());
+}
+
+// ── Localization ──────────────────────────────────────────────────
+
+const WEEKDAY_NAMES = {
+  de: ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'],
+  en: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+  pl: ['Niedziela', 'Poniedziałek', 'Wtorek', 'Środa', 'Czwartek', 'Piątek', 'Sobota'],
+};
+
+const SEASON_NAMES = {
+  advent: { de: 'Advent', en: 'Advent', pl: 'Adwent' },
+  christmas: { de: 'Weihnachtszeit', en: 'Christmas Time', pl: 'Okres Narodzenia Pańskiego' },
+  lent: { de: 'Fastenzeit', en: 'Lent', pl: 'Wielki Post' },
+  triduum: { de: 'Österliches Triduum', en: 'Paschal Triduum', pl: 'Triduum Paschalne' },
+  easter: { de: 'Osterzeit', en: 'Easter Time', pl: 'Okres Wielkanocny' },
+  ordinary: { de: 'Zeit im Jahreskreis', en: 'Ordinary Time', pl: 'Okres zwykły' },
+};
+
+const COLOR_NAMES = {
+  green: { de: 'Grün', en: 'Green', pl: 'Zielony' },
+  violet: { de: 'Violett', en: 'Violet', pl: 'Fioletowy' },
+  rose: { de: 'Rosa', en: 'Rose', pl: 'Różowy' },
+  white: { de: 'Weiß', en: 'White', pl: 'Biały' },
+  red: { de: 'Rot', en: 'Red', pl: 'Czerwony' },
+};
+
+const RANK_NAMES = {
+  triduum: { de: 'Österliches Triduum', en: 'Paschal Triduum', pl: 'Triduum Paschalne' },
+  solemnity: { de: 'Hochfest', en: 'Solemnity', pl: 'Uroczystość' },
+  feast: { de: 'Fest', en: 'Feast', pl: 'Święto' },
+  sunday: { de: 'Sonntag', en: 'Sunday', pl: 'Niedziela' },
+  memorial: { de: 'Gedenktag', en: 'Memorial', pl: 'Wspomnienie obowiązkowe' },
+  feria: { de: 'Wochentag', en: 'Weekday', pl: 'Dzień powszedni' },
+};
+
+function toRoman(n) {
+  const numerals = [[50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+  let out = '';
+  let rest = n;
+  for (const [value, symbol] of numerals) {
+    while (rest >= value) {
+      out += symbol;
+      rest -= value;
+    }
+  }
+  return out;
+}
+
+function toEnglishOrdinal(n) {
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+/** Name patterns per season: Sunday and weekday, with {n} (German), {ord} (English), {R} (Polish), {wd} (weekday). */
+const DAY_NAME_PATTERNS = {
+  advent: {
+    sunday: { de: '{n}. Adventssonntag', en: '{ord} Sunday of Advent', pl: '{R} Niedziela Adwentu' },
+    weekday: { de: '{wd} der {n}. Adventswoche', en: '{wd} of the {ord} Week of Advent', pl: '{wd} {R} tygodnia Adwentu' },
+  },
+  lent: {
+    sunday: { de: '{n}. Fastensonntag', en: '{ord} Sunday of Lent', pl: '{R} Niedziela Wielkiego Postu' },
+    weekday: { de: '{wd} der {n}. Fastenwoche', en: '{wd} of the {ord} Week of Lent', pl: '{wd} {R} tygodnia Wielkiego Postu' },
+  },
+  easter: {
+    sunday: { de: '{n}. Sonntag der Osterzeit', en: '{ord} Sunday of Easter', pl: '{R} Niedziela Wielkanocna' },
+    weekday: { de: '{wd} der {n}. Osterwoche', en: '{wd} of the {ord} Week of Easter', pl: '{wd} {R} tygodnia wielkanocnego' },
+  },
+  ordinary: {
+    sunday: { de: '{n}. Sonntag im Jahreskreis', en: '{ord} Sunday in Ordinary Time', pl: '{R} Niedziela zwykła' },
+    weekday: { de: '{wd} der {n}. Woche im Jahreskreis', en: '{wd} of the {ord} Week in Ordinary Time', pl: '{wd} {R} tygodnia zwykłego' },
+  },
+};
+
+function fillPattern(patterns, week, dayOfWeek) {
+  const names = {};
+  for (const lang of Object.keys(patterns)) {
+    names[lang] = patterns[lang]
+      .replace('{n}', String(week))
+      .replace('{ord}', toEnglishOrdinal(week))
+      .replace('{R}', toRoman(week))
+      .replace('{wd}', WEEKDAY_NAMES[lang][dayOfWeek]);
+  }
+  return names;
+}
+
+function sameForAllDays(patterns, dayOfWeek) {
+  return fillPattern(patterns, 0, dayOfWeek);
+}
+
+// ── Proper of Time ────────────────────────────────────────────────
+
+/**
+ * Precedence numbers from the Table of Liturgical Days — lower wins.
+ * 1 Triduum · 2 Christmas/Epiphany/Ascension/Pentecost, privileged Sundays, Ash Wednesday,
+ * Holy Week, Easter octave · 3 solemnities · 5 feasts of the Lord · 6 Sundays of Christmas
+ * and Ordinary Time · 7 feasts · 9 privileged weekdays · 10 memorials · 13 weekdays.
+ */
+const PRECEDENCE = {
+  triduum: 1, privileged: 2, solemnity: 3, lordFeast: 5, sunday: 6, feast: 7,
+  privilegedWeekday: 9, memorial: 10, weekday: 13,
+};
+
+/**
+ * Moveable celebrations of the Proper of Time for one civil year.
+ * Returns a Map of ISO date → { id, rank, color, precedence, names }.
+ */
+function properOfTimeCelebrations(year, profile) {
+  const easter = computeEaster(year);
+  const pentecost = addDays(easter, 49);
+  const advent1 = firstSundayOfAdvent(year);
+  const celebrations = new Map();
+  const add = (date, celebration) => celebrations.set(toIsoDate(date), celebration);
+
+  add(epiphany(year, profile), {
+    id: 'epiphany', rank: 'solemnity', color: 'white', precedence: PRECEDENCE.privileged,
+    names: { de: 'Erscheinung des Herrn', en: 'The Epiphany of the Lord', pl: 'Objawienie Pańskie' },
+  });
+  add(baptismOfTheLord(year, profile), {
+    id: 'baptism-of-the-lord', rank: 'feast', color: 'white', precedence: PRECEDENCE.lordFeast,
+    names: { de: 'Taufe des Herrn', en: 'The Baptism of the Lord', pl: 'Chrzest Pański' },
+  });
+  add(addDays(easter, -46), {
+    id: 'ash-wednesday', rank: 'feria', color: 'violet', precedence: PRECEDENCE.privileged,
+    names: { de: 'Aschermittwoch', en: 'Ash Wednesday', pl: 'Środa Popielcowa' },
+  });
+  add(addDays(easter, -7), {
+    id: 'palm-sunday', rank: 'sunday', color: 'red', precedence: PRECEDENCE.privileged,
+    names: { de: 'Palmsonntag', en: 'Palm Sunday of the Passion of the Lord', pl: 'Niedziela Palmowa Męki Pańskiej' },
+  });
+  add(addDays(easter, -3), {
+    id: 'holy-thursday', rank: 'triduum', color: 'white', precedence: PRECEDENCE.triduum,
+    names: { de: 'Gründonnerstag', en: 'Holy Thursday', pl: 'Wielki Czwartek' },
+  });
+  add(addDays(easter, -2), {
+    id: 'good-friday', rank: 'triduum', color: 'red', precedence: PRECEDENCE.triduum,
+    names: { de: 'Karfreitag', en: 'Good Friday of the Passion of the Lord', pl: 'Wielki Piątek Męki Pańskiej' },
+  });
+  add(addDays(easter, -1), {
+    id: 'holy-saturday', rank: 'triduum', color: 'violet', precedence: PRECEDENCE.triduum,
+    names: { de: 'Karsamstag', en: 'Holy Saturday', pl: 'Wielka Sobota' },
+  });
+  add(easter, {
+    id: 'easter-sunday', rank: 'solemnity', color: 'white', precedence: PRECEDENCE.triduum,
+    names: { de: 'Hochfest der Auferstehung des Herrn – Ostersonntag', en: 'Easter Sunday of the Resurrection of the Lord', pl: 'Niedziela Zmartwychwstania Pańskiego' },
+  });
+  add(addDays(easter, 7), {
+    id: 'divine-mercy-sunday', rank: 'sunday', color: 'white', precedence: PRECEDENCE.privileged,
+    names: { de: '2. Sonntag der Osterzeit – Weißer Sonntag', en: 'Second Sunday of Easter (Divine Mercy Sunday)', pl: 'II Niedziela Wielkanocna, czyli Miłosierdzia Bożego' },
+  });
+  // Where Ascension is kept on Sunday it replaces the 7th Sunday of Easter
+  add(addDays(easter, profile.ascensionOnSunday ? 42 : 39), {
+    id: 'ascension', rank: 'solemnity', color: 'white', precedence: PRECEDENCE.privileged,
+    names: { de: 'Christi Himmelfahrt', en: 'The Ascension of the Lord', pl: 'Wniebowstąpienie Pańskie' },
+  });
+  add(pentecost, {
+    id: 'pentecost', rank: 'solemnity', color: 'red', precedence: PRECEDENCE.privileged,
+    names: { de: 'Pfingstsonntag', en: 'Pentecost Sunday', pl: 'Zesłanie Ducha Świętego' },
+  });
+  add(addDays(pentecost, 1), {
+    id: 'mary-mother-of-the-church', rank: 'memorial', color: 'white', precedence: PRECEDENCE.memorial,
+    names: { de: 'Maria, Mutter der Kirche', en: 'The Blessed Virgin Mary, Mother of the Church', pl: 'Najświętsza Maryja Panna, Matka Kościoła' },
+  });
+  add(addDays(pentecost, 7), {
+    id: 'trinity-sunday', rank: 'solemnity', color: 'white', precedence: PRECEDENCE.solemnity,
+    names: { de: 'Dreifaltigkeitssonntag', en: 'The Most Holy Trinity', pl: 'Najświętsza Trójca' },
+  });
+  add(addDays(pentecost, profile.corpusChristiOnSunday ? 14 : 11), {
+    id: 'corpus-christi', rank: 'solemnity', color: 'white', precedence: PRECEDENCE.solemnity,
+    names: { de: 'Hochfest des Leibes und Blutes Christi – Fronleichnam', en: 'The Most Holy Body and Blood of Christ', pl: 'Najświętsze Ciało i Krew Chrystusa' },
+  });
+  add(addDays(pentecost, 19), {
+    id: 'sacred-heart', rank: 'solemnity', color: 'white', precedence: PRECEDENCE.solemnity,
+    names: { de: 'Heiligstes Herz Jesu', en: 'The Most Sacred Heart of Jesus', pl: 'Najświętsze Serce Pana Jezusa' },
+  });
+  add(addDays(pentecost, 20), {
+    id: 'immaculate-heart-of-mary', rank: 'memorial', color: 'white', precedence: PRECEDENCE.memorial,
+    names: { de: 'Unbeflecktes Herz Mariä', en: 'The Immaculate Heart of the Blessed Virgin Mary', pl: 'Niepokalane Serce Najświętszej Maryi Panny' },
+  });
+  add(addDays(advent1, -7), {
+    id: 'christ-the-king', rank: 'solemnity', color: 'white', precedence: PRECEDENCE.solemnity,
+    names: { de: 'Christkönigssonntag', en: 'Our Lord Jesus Christ, King of the Universe', pl: 'Jezusa Chrystusa, Króla Wszechświata' },
+  });
+  add(holyFamily(year), {
+    id: 'holy-family', rank: 'feast', color: 'white', precedence: PRECEDENCE.lordFeast,
+    names: { de: 'Fest der Heiligen Familie', en: 'The Holy Family of Jesus, Mary and Joseph', pl: 'Świętej Rodziny Jezusa, Maryi i Józefa' },
+  });
+
+  for (const { daysAfterPentecost, ...entry } of profile.moveable) {
+    add(addDays(pentecost, daysAfterPentecost), { ...entry, precedence: sanctoralePrecedence(entry) });
+  }
+
+  return celebrations;
+}
+
+/**
+ * Season, week and the plain (uncelebrated) day for a date.
+ * Returns { season, week, litYear, color, rank, precedence, names }.
+ */
+function temporalDay(date, profile) {
+  const year = date.getUTCFullYear();
+  const dayOfWeek = date.getUTCDay();
+  const isSunday = dayOfWeek === 0;
+  const easter = computeEaster(year);
+  const ashWednesday = addDays(easter, -46);
+  const pentecost = addDays(easter, 49);
+  const advent1 = firstSundayOfAdvent(year);
+  const christmas = new Date(Date.UTC(year, 11, 25));
+  const baptism = baptismOfTheLord(year, profile);
+
+  const plain = (season, week, litYear, patternSet) => {
+    const pattern = DAY_NAME_PATTERNS[season][isSunday ? 'sunday' : 'weekday'];
+    return {
+      season, week, litYear,
+      color: season === 'ordinary' ? 'green' : 'violet',
+      rank: isSunday ? 'sunday' : 'feria',
+      precedence: isSunday ? PRECEDENCE.privileged : PRECEDENCE.weekday,
+      names: fillPattern(patternSet || pattern, week, dayOfWeek),
+    };
+  };
+
+  // Christmas Time, from Christmas to the Baptism of the Lord
+  if (date >= christmas || date <= baptism) {
+    const litYear = date >= christmas ? year + 1 : year;
+    const start = date >= christmas ? christmas : new Date(Date.UTC(year - 1, 11, 25));
+    const octaveDay = daysBetween(start, date) + 1;
+    const inOctave = octaveDay <= 8;
+    const names = isSunday
+      ? { de: '2. Sonntag nach Weihnachten', en: 'Second Sunday after the Nativity', pl: 'II Niedziela po Narodzeniu Pańskim' }
+      : inOctave
+        ? { de: `${octaveDay}. Tag der Weihnachtsoktav`, en: `${toEnglishOrdinal(octaveDay)} Day within the Octave of the Nativity`, pl: `${octaveDay}. dzień w oktawie Narodzenia Pańskiego` }
+        : sameForAllDays({ de: '{wd} der Weihnachtszeit', en: '{wd} of Christmas Time', pl: '{wd} okresu Narodzenia Pańskiego' }, dayOfWeek);
+    return {
+      season: 'christmas', week: null, litYear, color: 'white',
+      rank: isSunday ? 'sunday' : 'feria',
+      precedence: isSunday ? PRECEDENCE.sunday : inOctave ? PRECEDENCE.privilegedWeekday : PRECEDENCE.weekday,
+      names,
+    };
+  }
+
+  if (date >= advent1) {
+    const week = Math.floor(daysBetween(advent1, date) / 7) + 1;
+    const day = plain('advent', week, year + 1);
+    // Gaudete (3rd Sunday) may use rose
+    if (isSunday && week === 3) day.color = 'rose';
+    // 17–24 December: the "O Antiphon" days take precedence over memorials
+    if (!isSunday && date.getUTCDate() >= 17) day.precedence = PRECEDENCE.privilegedWeekday;
+    return day;
+  }
+
+  if (date < ashWednesday) {
+    // Counted from the Sunday of the Baptism week — a Monday Baptism (US) does not shift the weeks
+    const week = Math.floor(daysBetween(addDays(baptism, -baptism.getUTCDay()), date) / 7) + 1;
+    const day = plain('ordinary', week, year);
+    if (isSunday) day.precedence = PRECEDENCE.sunday;
+    return day;
+  }
+
+  if (date < addDays(easter, -3)) {
+    const firstSunday = addDays(ashWednesday, 4);
+    const week = date < firstSunday ? 0 : Math.floor(daysBetween(firstSunday, date) / 7) + 1;
+    let day;
+    if (week === 0) {
+      day = plain('lent', 0, year, { de: '{wd} nach Aschermittwoch', en: '{wd} after Ash Wednesday', pl: '{wd} po Popielcu' });
+    } else if (week === 6 && !isSunday) {
+      day = plain('lent', 6, year, { de: '{wd} der Karwoche', en: '{wd} of Holy Week', pl: 'Wielki {wd}' });
+      if (dayOfWeek === 3) day.names.pl = 'Wielka Środa';
+      day.precedence = PRECEDENCE.privileged;
+    } else {
+      day = plain('lent', week, year);
+    }
+    // Laetare (4th Sunday) may use rose
+    if (isSunday && week === 4) day.color = 'rose';
+    if (!isSunday && day.precedence > PRECEDENCE.privilegedWeekday) day.precedence = PRECEDENCE.privilegedWeekday;
+    return day;
+  }
+
+  if (date < easter) {
+    return {
+      season: 'triduum', week: null, litYear: year, color: 'violet', rank: 'triduum',
+      precedence: PRECEDENCE.triduum, names: sameForAllDays(SEASON_NAMES.triduum, dayOfWeek),
+    };
+  }
+
+  if (date <= pentecost) {
+    const week = Math.floor(daysBetween(easter, date) / 7) + 1;
+    const inOctave = daysBetween(easter, date) <= 7;
+    const day = inOctave && !isSunday
+      ? plain('easter', 1, year, { de: '{wd} der Osteroktav', en: '{wd} within the Octave of Easter', pl: '{wd} w oktawie Wielkanocy' })
+      : plain('easter', week, year);
+    day.color = 'white';
+    if (inOctave) {
+      day.rank = 'solemnity';
+      day.precedence = PRECEDENCE.privileged;
+    }
+    return day;
+  }
+
+  // Ordinary Time after Pentecost counts back from Christ the King (34th week)
+  const week = 34 - Math.floor((daysBetween(date, advent1) - 1) / 7);
+  const day = plain('ordinary', week, year);
+  if (isSunday) day.precedence = PRECEDENCE.sunday;
+  return day;
+}
+
+// ── Proper of Saints (General Roman Calendar, from sanctorale.json) ──
+
+/**
+ * Every fixed-date celebration of the GRC, optional memorials included, keyed by "MM-DD"
+ * (a list per date). `lord: true` marks feasts of the Lord, which replace a Sunday in
+ * Christmas and Ordinary Time.
+ */
+const { days: SANCTORALE_DAYS, descriptions: PROPER_DESCRIPTIONS } = require('../sanctorale.json');
+
+/** The obligatory celebration of each date (solemnity, feast or memorial) — what decides the rank of the day. */
+const SANCTORALE = Object.fromEntries(Object.entries(SANCTORALE_DAYS).flatMap(([monthDay, entries]) => entries
+  .filter((e) => e.rank !== 'optional-memorial')
+  .map(({ descriptions, ...entry }) => [monthDay, entry])));
+
+/** Short descriptions by id ("Bishop and Doctor of the Church"), the national propers' saints included. */
+const SAINT_DESCRIPTIONS = {
+  ...Object.fromEntries(Object.values(SANCTORALE_DAYS).flat().map((e) => [e.id, e.descriptions])),
+  ...PROPER_DESCRIPTIONS,
+};
+
+const SAINT_RANK_ORDER = ['solemnity', 'feast', 'memorial', 'optional-memorial', 'commemoration'];
+
+function sanctoralePrecedence(entry) {
+  if (entry.id === 'christmas') return PRECEDENCE.privileged;
+  if (entry.rank === 'solemnity') return PRECEDENCE.solemnity;
+  if (entry.rank === 'feast') return entry.lord ? PRECEDENCE.lordFeast : PRECEDENCE.feast;
+  return PRECEDENCE.memorial;
+}
+
+/**
+ * Where an impeded solemnity goes. Joseph and the Annunciation have fixed rules for
+ * Holy Week and the Easter octave; John the Baptist is anticipated when the Sacred Heart
+ * falls on 24 June; everything else moves to the next free day.
+ */
+function transferSolemnity(entry, date, properOfTime, profile) {
+  const year = date.getUTCFullYear();
+  const easter = computeEaster(year);
+  const palmSunday = addDays(easter, -7);
+
+  if (entry.id === 'joseph' && date >= palmSunday && date <= addDays(easter, 7)) {
+    return addDays(palmSunday, -1);
+  }
+  if (entry.id === 'annunciation' && date >= palmSunday && date <= addDays(easter, 7)) {
+    return addDays(easter, 8);
+  }
+  if (entry.id === 'nativity-of-john-the-baptist') {
+    return addDays(date, -1);
+  }
+
+  let candidate = addDays(date, 1);
+  while (temporalDay(candidate, profile).precedence <= PRECEDENCE.solemnity
+    || (properOfTime.get(toIsoDate(candidate))?.precedence || 99) <= PRECEDENCE.solemnity) {
+    candidate = addDays(candidate, 1);
+  }
+  return candidate;
+}
+
+/**
+ * Fixed-date celebrations of one civil year after solemnity transfers.
+ * The profile's proper replaces GRC entries by date; a null entry removes one.
+ * Returns a Map of ISO date → celebration (with precedence).
+ */
+function sanctoraleCelebrations(year, profile) {
+  const properOfTime = properOfTimeCelebrations(year, profile);
+  const placed = new Map();
+  const calendar = { ...SANCTORALE, ...profile.proper };
+
+  for (const [monthDay, entry] of Object.entries(calendar).sort(([a], [b]) => a.localeCompare(b))) {
+    if (!entry) continue;
+    const date = parseIsoDate(`${year}-${monthDay}`);
+    const iso = toIsoDate(date);
+    const celebration = { ...entry, precedence: sanctoralePrecedence(entry) };
+    delete celebration.lord;
+
+    if (entry.rank === 'solemnity' && entry.id !== 'christmas') {
+      const temporal = temporalDay(date, profile);
+      const proper = properOfTime.get(iso);
+      // Sundays of Christmas/Ordinary Time (6) yield to solemnities; privileged days (≤ 2) and
+      // solemnities of the Lord from the Proper of Time do not
+      const impeded = temporal.precedence <= PRECEDENCE.privileged
+        || (proper && proper.precedence <= PRECEDENCE.solemnity);
+      if (impeded) {
+        const target = transferSolemnity(entry, date, properOfTime, profile);
+        placed.set(toIsoDate(target), { ...celebration, transferredFrom: iso });
+        continue;
+      }
+    }
+    if (!placed.has(iso)) placed.set(iso, celebration);
+  }
+  return placed;
+}
+
+// ── Regional calendar profiles ────────────────────────────────────
+
+/** The five patrons of Europe are feasts in every European calendar (GRC: memorials or optional). */
+const PATRONS_OF_EUROPE = {
+  '02-14': { id: 'cyril-and-methodius', rank: 'feast', color: 'white', names: { de: 'Hl. Cyrill und hl. Methodius, Patrone Europas', en: 'Saints Cyril and Methodius, Patrons of Europe', pl: 'Święci Cyryl i Metody, patroni Europy' } },
+  '04-29': { id: 'catherine-of-siena', rank: 'feast', color: 'white', names: { de: 'Hl. Katharina von Siena, Patronin Europas', en: 'Saint Catherine of Siena, Patroness of Europe', pl: 'Św. Katarzyna Sieneńska, patronka Europy' } },
+  '07-11': { id: 'benedict', rank: 'feast', color: 'white', names: { de: 'Hl. Benedikt von Nursia, Patron Europas', en: 'Saint Benedict, Patron of Europe', pl: 'Św. Benedykt, patron Europy' } },
+  '07-23': { id: 'bridget', rank: 'feast', color: 'white', names: { de: 'Hl. Birgitta von Schweden, Patronin Europas', en: 'Saint Bridget of Sweden, Patroness of Europe', pl: 'Św. Brygida Szwedzka, patronka Europy' } },
+  '08-09': { id: 'teresa-benedicta-of-the-cross', rank: 'feast', color: 'red', names: { de: 'Hl. Teresia Benedicta vom Kreuz (Edith Stein), Patronin Europas', en: 'Saint Teresa Benedicta of the Cross, Patroness of Europe', pl: 'Św. Teresa Benedykta od Krzyża, patronka Europy' } },
+};
+
+const GRC_PROFILE = {
+  id: 'GRC',
+  names: { de: 'Allgemeiner Römischer Kalender', en: 'General Roman Calendar', pl: 'Ogólny Kalendarz Rzymski' },
+  epiphanyOnSunday: false,
+  ascensionOnSunday: false,
+  corpusChristiOnSunday: false,
+  proper: {},
+  moveable: [],
+};
+
+/**
+ * National calendars. Only what differs from the GRC is listed — obligatory celebrations
+ * and transfers that change the day's rank or readings; optional memorials are left out.
+ */
+const CALENDAR_PROFILES = {
+  GRC: GRC_PROFILE,
+  DE: {
+    ...GRC_PROFILE,
+    id: 'DE',
+    names: { de: 'Regionalkalender für das deutsche Sprachgebiet', en: 'Calendar of the German-speaking dioceses', pl: 'Kalendarz niemieckiego obszaru językowego' },
+    proper: {
+      ...PATRONS_OF_EUROPE,
+      '10-16': { id: 'hedwig', rank: 'memorial', color: 'white', names: { de: 'Hl. Hedwig von Andechs', en: 'Saint Hedwig', pl: 'Św. Jadwiga Śląska' } },
+      '11-17': null,
+      '11-19': { id: 'elizabeth-of-hungary', rank: 'memorial', color: 'white', names: { de: 'Hl. Elisabeth von Thüringen', en: 'Saint Elizabeth of Hungary', pl: 'Św. Elżbieta Węgierska' } },
+    },
+  },
+  PL: {
+    ...GRC_PROFILE,
+    id: 'PL',
+    names: { de: 'Kalender der Kirche in Polen', en: 'Calendar of the Church in Poland', pl: 'Kalendarz liturgiczny Kościoła w Polsce' },
+    ascensionOnSunday: true,
+    proper: {
+      ...PATRONS_OF_EUROPE,
+      '04-11': null,
+      '04-23': { id: 'adalbert', rank: 'solemnity', color: 'red', names: { de: 'Hl. Adalbert, Patron Polens', en: 'Saint Adalbert, Patron of Poland', pl: 'Św. Wojciech, patron Polski' } },
+      '05-03': { id: 'our-lady-queen-of-poland', rank: 'solemnity', color: 'white', names: { de: 'Allerseligste Jungfrau Maria, Königin Polens', en: 'Blessed Virgin Mary, Queen of Poland', pl: 'Najświętsza Maryja Panna, Królowa Polski' } },
+      '05-06': { id: 'philip-and-james', rank: 'feast', color: 'red', names: { de: 'Hl. Philippus und hl. Jakobus, Apostel', en: 'Saints Philip and James, Apostles', pl: 'Święci Apostołowie Filip i Jakub' } },
+      '05-08': { id: 'stanislaus', rank: 'solemnity', color: 'red', names: { de: 'Hl. Stanislaus, Patron Polens', en: 'Saint Stanislaus, Patron of Poland', pl: 'Św. Stanisław, patron Polski' } },
+      '08-26': { id: 'our-lady-of-czestochowa', rank: 'solemnity', color: 'white', names: { de: 'Allerseligste Jungfrau Maria von Tschenstochau', en: 'Our Lady of Częstochowa', pl: 'Najświętsza Maryja Panna Częstochowska' } },
+      '09-18': { id: 'stanislaus-kostka', rank: 'feast', color: 'white', names: { de: 'Hl. Stanislaus Kostka, Patron Polens', en: 'Saint Stanislaus Kostka, Patron of Poland', pl: 'Św. Stanisław Kostka, patron Polski' } },
+      '10-05': { id: 'faustina', rank: 'memorial', color: 'white', names: { de: 'Hl. Faustyna Kowalska', en: 'Saint Faustina Kowalska', pl: 'Św. Faustyna Kowalska' } },
+      '10-16': { id: 'hedwig', rank: 'memorial', color: 'white', names: { de: 'Hl. Hedwig von Andechs', en: 'Saint Hedwig', pl: 'Św. Jadwiga Śląska' } },
+      '10-22': { id: 'john-paul-ii', rank: 'memorial', color: 'white', names: { de: 'Hl. Johannes Paul II.', en: 'Saint John Paul II', pl: 'Św. Jan Paweł II' } },
+    },
+    moveable: [
+      { daysAfterPentecost: 4, id: 'christ-eternal-high-priest', rank: 'feast', color: 'white', names: { de: 'Unser Herr Jesus Christus, der Ewige Hohepriester', en: 'Our Lord Jesus Christ, the Eternal High Priest', pl: 'Jezusa Chrystusa, Najwyższego i Wiecznego Kapłana' } },
+    ],
+  },
+  US: {
+    ...GRC_PROFILE,
+    id: 'US',
+    names: { de: 'Kalender der Diözesen der USA', en: 'Proper Calendar for the Dioceses of the United States', pl: 'Kalendarz diecezji Stanów Zjednoczonych' },
+    epiphanyOnSunday: true,
+    ascensionOnSunday: true, // all ecclesiastical provinces except those that kept Thursday
+    corpusChristiOnSunday: true,
+    proper: {
+      '01-04': { id: 'elizabeth-ann-seton', rank: 'memorial', color: 'white', names: { de: 'Hl. Elizabeth Ann Seton', en: 'Saint Elizabeth Ann Seton', pl: 'Św. Elżbieta Anna Seton' } },
+      '01-05': { id: 'john-neumann', rank: 'memorial', color: 'white', names: { de: 'Hl. Johannes Nepomuk Neumann', en: 'Saint John Neumann', pl: 'Św. Jan Nepomucen Neumann' } },
+      '07-14': { id: 'kateri-tekakwitha', rank: 'memorial', color: 'white', names: { de: 'Hl. Kateri Tekakwitha', en: 'Saint Kateri Tekakwitha', pl: 'Św. Kateri Tekakwitha' } },
+      '09-09': { id: 'peter-claver', rank: 'memorial', color: 'white', names: { de: 'Hl. Petrus Claver', en: 'Saint Peter Claver', pl: 'Św. Piotr Klawer' } },
+      '10-19': { id: 'north-american-martyrs', rank: 'memorial', color: 'red', names: { de: 'Hl. Isaak Jogues, hl. Johannes de Brébeuf und Gefährten', en: 'Saints John de Brébeuf, Isaac Jogues, and Companions', pl: 'Święci Jan de Brébeuf, Izaak Jogues i Towarzysze' } },
+      '11-13': { id: 'frances-xavier-cabrini', rank: 'memorial', color: 'white', names: { de: 'Hl. Franziska Xaviera Cabrini', en: 'Saint Frances Xavier Cabrini', pl: 'Św. Franciszka Ksawera Cabrini' } },
+      '12-12': { id: 'our-lady-of-guadalupe', rank: 'feast', color: 'white', names: { de: 'Unsere Liebe Frau von Guadalupe', en: 'Our Lady of Guadalupe', pl: 'Najświętsza Maryja Panna z Guadalupe' } },
+    },
+  },
+};
+
+function resolveProfile(profile = 'GRC') {
+  if (typeof profile !== 'string') return profile;
+  const resolved = CALENDAR_PROFILES[profile.toUpperCase()];
+  if (!resolved) throw new Error(`Unknown calendar profile: ${profile}`);
+  return resolved;
+}
+
+// ── Public API ────────────────────────────────────────────────────
+
+/**
+ * The liturgical day for an ISO date (YYYY-MM-DD) in a calendar profile (default: GRC).
+ *
+ * Returns {
+ *   date, profile, season, seasonNames, week, dayOfWeek,
+ *   color, colorNames, rank, rankNames,
+ *   celebration: { id, rank, names, transferredFrom? } | null,
+ *   names,                        // day label, e.g. de "Dienstag der 21. Woche im Jahreskreis"
+ *   sundayCycle: 'A'|'B'|'C', weekdayCycle: 'I'|'II'
+ * }
+ */
+function getLiturgicalDay(isoDate, profileId = 'GRC') {
+  const profile = resolveProfile(profileId);
+  const date = parseIsoDate(isoDate);
+  const year = date.getUTCFullYear();
+  const temporal = temporalDay(date, profile);
+
+  const proper = properOfTimeCelebrations(year, profile).get(isoDate);
+  const candidates = [proper, sanctoraleCelebrations(year, profile).get(isoDate)].filter(Boolean);
+
+  // Memorials are not kept in Lent, on 17–24 December or in the Christmas octave —
+  // privileged weekdays (9) outrank them; Sundays and higher days outrank everything below
+  let celebration = null;
+  for (const candidate of candidates) {
+    // Proper-of-Time celebrations (Palm Sunday, Pentecost, …) are the day itself and win ties
+    const beatsDay = candidate.precedence < temporal.precedence
+      || (candidate === proper && candidate.precedence === temporal.precedence);
+    if (!beatsDay) continue;
+    if (!celebration || candidate.precedence < celebration.precedence) celebration = candidate;
+  }
+
+  const rank = celebration ? celebration.rank : temporal.rank;
+  const color = celebration ? celebration.color : temporal.color;
+
+  return {
+    date: isoDate,
+    profile: profile.id,
+    season: temporal.season,
+    seasonNames: { ...SEASON_NAMES[temporal.season] },
+    week: temporal.week,
+    dayOfWeek: date.getUTCDay(),
+    color,
+    colorNames: { ...COLOR_NAMES[color] },
+    rank,
+    rankNames: { ...RANK_NAMES[rank] },
+    celebration: celebration
+      ? {
+        id: celebration.id,
+        rank: celebration.rank,
+        names: { ...celebration.names },
+        ...(celebration.transferredFrom ? { transferredFrom: celebration.transferredFrom } : {}),
+      }
+      : null,
+    names: celebration ? { ...celebration.names } : temporal.names,
+    sundayCycle: ['C', 'A', 'B'][temporal.litYear % 3],
+    weekdayCycle: temporal.litYear % 2 === 1 ? 'I' : 'II',
+  };
+}
+
+/**
+ * The saints of an ISO date in a calendar profile, highest rank first:
+ * [{ id, rank, names, descriptions }].
+ *
+ * The celebration the day is kept for has its own rank; optional memorials keep theirs on
+ * free weekdays. Everything else the date commemorates — a memorial on a Sunday or in Lent,
+ * optional memorials beside a feast — is a `commemoration`. Several saints stay a list.
+ */
+function getSaintsOfDay(isoDate, profileId = 'GRC') {
+  const profile = resolveProfile(profileId);
+  const date = parseIsoDate(isoDate);
+  const monthDay = isoDate.slice(5);
+  const day = getLiturgicalDay(isoDate, profile);
+  const placed = sanctoraleCelebrations(date.getUTCFullYear(), profile).get(isoDate);
+  const own = { ...SANCTORALE, ...profile.proper }[monthDay];
+  const optional = (SANCTORALE_DAYS[monthDay] || []).filter((e) => e.rank === 'optional-memorial');
+  // A solemnity transferred away is kept on its new date only
+  const movedAway = own?.rank === 'solemnity' && placed?.id !== own.id;
+  const freeWeekday = !day.celebration && temporalDay(date, profile).precedence === PRECEDENCE.weekday;
+
+  const seen = new Set();
+  return [placed, movedAway ? null : own, ...optional]
+    .filter((entry) => entry && !seen.has(entry.id) && seen.add(entry.id))
+    .map((entry) => {
+      let rank = 'commemoration';
+      if (entry.id === day.celebration?.id) rank = entry.rank;
+      else if (entry.rank === 'optional-memorial' && freeWeekday) rank = entry.rank;
+      return { id: entry.id, rank, names: { ...entry.names }, descriptions: SAINT_DESCRIPTIONS[entry.id] ? { ...SAINT_DESCRIPTIONS[entry.id] } : null };
+    })
+    .sort((a, b) => SAINT_RANK_ORDER.indexOf(a.rank) - SAINT_RANK_ORDER.indexOf(b.rank));
+}
+
+module.exports = {
+  CALENDAR_PROFILES,
+  computeEaster,
+  firstSundayOfAdvent,
+  getLiturgicalDay,
+  getSaintsOfDay,
+  SANCTORALE,
+};
+
+if (require.main === module) {
+  const isoDate = process.argv[2] || getLocalIsoDate();
+  console.log(JSON.stringify(getLiturgicalDay(isoDate, process.argv[3]), null, 2));
+}
@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+/**
+ * Narration scripts — the one text every voice pipeline reads, rendered from the impulse JSON:
+ *
+ *   narration/<date>/<lang>.json         the script, its spoken reference and the offsets of every
+ *                                        verse and sentence in it (for alignment)
+ *   narration/<date>/<lang>.ssml         the script as SSML at reading pace (`gospel` track)
+ *   narration/<date>/<lang>.lectio.ssml  slower, with a pause after every sentence (`lectio` track)
+ *
+ * A script is the liturgical introduction, the spoken reference ("Matthäus, Kapitel 23, Verse 1
+ * bis 12"), the Gospel and the closing formula; the wording is in languages.json › narration.
+ * Written for the languages with `audio: true`, and only for approved days. Output depends only
+ * on the impulse, so an unchanged day produces no diff.
+ *
+ * Usage: node scripts/narration.js [--date YYYY-MM-DD]   (every day of the archive without --date)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { bookName } = require('./canon');
+const { textHash } = require('./content-hash');
+const { isApproved } = require('./overrides');
+const { parseReference } = require('./references');
+const { readJson } = require('./shared');
+
+// ── Configuration ──────────────────────────────────────────────────
+const ROOT = path.join(__dirname, '..');
+const IMPULSES_DIR = path.join(ROOT, 'impulses');
+const NARRATION_DIR = path.join(ROOT, 'narration');
+const LANGUAGE_REGISTRY = require('../languages.json').languages;
+const DATED_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+const GOSPELS = ['matthew', 'mark', 'luke', 'john']; // canon.json keys
+// Pauses per track; `sentence`/`verse` go between sentences and between verses inside a sentence
+const PACES = {
+  gospel: { rate: null, afterIntro: '500ms', afterReference: '1s', sentence: null, verse: null, beforeClosing: '1s' },
+  lectio: { rate: '85%', afterIntro: '1s', afterReference: '2s', sentence: '1500ms', verse: '500ms', beforeClosing: '3s' },
+};
+// The end of a sentence: . ! ? … (plus closing quotes) before whitespace and an upper-case letter, or at the end
+const SENTENCE_END = /[.!?…]["”“»’)]*(?=\s+["„“«‚(]?\p{Lu}|\s*$)/gu;
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (_, key) => values[key]);
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// ── Script ─────────────────────────────────────────────────────────
+
+/**
+ * The reference as it is read aloud: "Matthäus, Kapitel 9, Verse 36 bis 38, und Kapitel 10, Verse 1 bis 8".
+ * Half-verse markers (a/b) are not spoken — the text holds whole verses anyway.
+ */
+function spokenReference(parsed, book, words) {
+  // parseReference splits a range across chapters into one range per chapter — join them again
+  const items = [];
+  for (const range of parsed.ranges) {
+    const last = items[items.length - 1];
+    if (last && last.toVerse === null && range.chapter === last.toChapter + 1 && range.verseStart === 1) {
+      Object.assign(last, { toChapter: range.chapter, toVerse: range.verseEnd });
+      continue;
+    }
+    items.push({ fromChapter: range.chapter, fromVerse: range.verseStart, toChapter: range.chapter, toVerse: range.verseEnd });
+  }
+
+  const phrases = [];
+  let group = null; // verse lists of consecutive items in one chapter
+  for (const item of items) {
+    if (item.toChapter !== item.fromChapter) {
+      group = null;
+      phrases.push(fill(words.span, item));
+      continue;
+    }
+    if (!group || group.chapter !== item.fromChapter) {
+      group = { chapter: item.fromChapter, items: [] };
+      phrases.push(group);
+    }
+    group.items.push(item);
+  }
+
+  const spoken = phrases.map((phrase) => {
+    if (typeof phrase === 'string') return phrase;
+    const single = phrase.items.length === 1 && phrase.items[0].fromVerse === phrase.items[0].toVerse;
+    const verses = phrase.items
+      .map((i) => (i.toVerse === null || i.toVerse === i.fromVerse ? `${i.fromVerse}` : fill(words.range, { start: i.fromVerse, end: i.toVerse })))
+      .join(` ${words.and} `);
+    return `${words.chapter} ${phrase.chapter}, ${single ? words.verse : words.verses} ${verses}`;
+  });
+  return `${book}, ${spoken.join(`, ${words.and} `)}.`;
+}
+
+/**
+ * The narration of one language's Gospel: { reference, spokenReference, textHash, script, parts,
+ * verses, sentences } — offsets are [start, end) into `script`. Null when the reference is not
+ * a Gospel this module can name.
+ */
+function buildNarration(impulse, language) {
+  const gospel = impulse.gospelTexts?.[language.code];
+  if (!gospel?.text) return null;
+  // The language's own calendar decides its Gospel; files from before regional calendars have one
+  const reference = impulse.calendar?.regions?.[language.calendarProfile]?.gospelRef || impulse.gospelRefOriginal;
+  const parsed = reference ? parseReference(reference) : null;
+  if (!GOSPELS.includes(parsed?.book.key)) return null;
+
+  const words = language.narration;
+  const book = bookName(parsed.book, language.code);
+  const intro = fill(words.intro, { evangelist: words.evangelists?.[parsed.book.key] || book });
+  const spoken = spokenReference(parsed, book, words);
+
+  // Verses when the file has them, otherwise the text as one block
+  const verses = [];
+  let body = '';
+  for (const v of gospel.verses || []) {
+    if (body) body += ' ';
+    verses.push({ mark: `v${v.chapter}.${v.verse}`, chapter: v.chapter, verse: v.verse, start: body.length, end: body.length + v.text.length });
+    body += v.text;
+  }
+  if (verses.length === 0) body = gospel.text;
+
+  const parts = {};
+  let script = '';
+  const append = (name, text, separator) => {
+    script += separator;
+    parts[name] = { start: script.length, end: script.length + text.length };
+    script += text;
+  };
+  append('intro', intro, '');
+  append('reference', spoken, '\n');
+  append('body', body, '\n\n');
+  append('closing', words.closing, '\n\n');
+  script += '\n';
+
+  const offset = parts.body.start;
+  const sentences = [];
+  let start = 0;
+  for (const match of body.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    sentences.push({ mark: `s${sentences.length + 1}`, start: offset + start, end: offset + end });
+    start = end + (body.slice(end).match(/^\s*/)[0].length);
+  }
+  if (start < body.length) sentences.push({ mark: `s${sentences.length + 1}`, start: offset + start, end: offset + body.length });
+
+  return {
+    date: impulse.date,
+    lang: language.code,
+    reference,
+    spokenReference: spoken,
+    textHash: gospel.textHash || textHash(gospel.text),
+    script,
+    parts,
+    verses: verses.map((v) => ({ ...v, start: v.start + offset, end: v.end + offset })),
+    sentences,
+  };
+}
+
+// ── SSML ───────────────────────────────────────────────────────────
+
+/** The narration as SSML for a track in PACES, with a <mark> at every verse and sentence. */
+function renderSsml(narration, language, track) {
+  const pace = PACES[track];
+  const pause = (time) => (time ? `<break time="${time}"/>` : '');
+  const partText = (name) => escapeXml(narration.script.slice(narration.parts[name].start, narration.parts[name].end));
+
+  // Events inside the body, in script order: a sentence starts, a verse starts
+  const events = [
+    ...narration.sentences.map((s, i) => ({ at: s.start, order: 0, xml: `${i > 0 ? pause(pace.sentence) : ''}<mark name="${s.mark}"/>`, sentence: true })),
+    ...narration.verses.map((v) => ({ at: v.start, order: 1, xml: `<mark name="${v.mark}"/>` })),
+  ].sort((a, b) => a.at - b.at || a.order - b.order);
+
+  let body = '';
+  let cursor = narration.parts.body.start;
+  for (const [i, event] of events.entries()) {
+    body += escapeXml(narration.script.slice(cursor, event.at));
+    // A verse that starts inside a sentence gets the shorter verse pause
+    const sentenceHere = events[i - 1]?.at === event.at && events[i - 1].sentence;
+    if (!event.sentence && !sentenceHere && event.at > narration.parts.body.start) body += pause(pace.verse);
+    body += event.xml;
+    cursor = event.at;
+  }
+  body += escapeXml(narration.script.slice(cursor, narration.parts.body.end));
+
+  const content = [
+    `<p><mark name="intro"/>${partText('intro')}</p>${pause(pace.afterIntro)}`,
+    `<p><mark name="reference"/>${partText('reference')}</p>${pause(pace.afterReference)}`,
+    `<p>${body}</p>${pause(pace.beforeClosing)}`,
+    `<p><mark name="closing"/>${partText('closing')}</p>`,
+  ];
+  const lines = pace.rate ? [`<prosody rate="${pace.rate}">`, ...content, '</prosody>'] : content;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${language.locale.replace('_', '-')}">
+${lines.join('\n')}
+</speak>
+`;
+}
+
+// ── Writing ────────────────────────────────────────────────────────
+
+/** Write the narration of one day for every audio language; returns the languages written (none for a draft). */
+function writeNarration(isoDate) {
+  const impulse = readJson(path.join(IMPULSES_DIR, `${isoDate}.json`));
+  if (!impulse) throw new Error(`impulses/${isoDate}.json does not exist or is unreadable`);
+
+  const dir = path.join(NARRATION_DIR, isoDate);
+  fs.rmSync(dir, { recursive: true, force: true }); // a language that lost its text loses its script
+  const written = [];
+  if (!isApproved(impulse)) return written;
+  for (const language of LANGUAGE_REGISTRY.filter((l) => l.audio && isoDate >= l.since)) {
+    const narration = buildNarration(impulse, language);
+    if (!narration) continue;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${language.code}.json`), JSON.stringify(narration, null, 2) + '\n', 'utf-8');
+    fs.writeFileSync(path.join(dir, `${language.code}.ssml`), renderSsml(narration, language, 'gospel'), 'utf-8');
+    fs.writeFileSync(path.join(dir, `${language.code}.lectio.ssml`), renderSsml(narration, language, 'lectio'), 'utf-8');
+    written.push(language.code);
+  }
+  return written;
+}
+
+function main() {
+  const dateIndex = process.argv.indexOf('--date');
+  const date = dateIndex !== -1 ? process.argv[dateIndex + 1] : null;
+  if (dateIndex !== -1 && !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    console.error('❌ --date needs a YYYY-MM-DD date');
+    process.exit(2);
+  }
+
+  const dates = date ? [date] : fs.readdirSync(IMPULSES_DIR).map((name) => name.match(DATED_FILE)?.[1]).filter(Boolean).sort();
+  let count = 0;
+  for (const d of dates) {
+    const written = writeNarration(d);
+    if (date) console.log(`  🎙️ narration/${d}: ${written.join(', ') || 'no language'}`);
+    count += written.length;
+  }
+  console.log(`✅ Narration written: ${count} script(s) for ${dates.length} day(s)`);
+}
+
+module.exports = { buildNarration, renderSsml, spokenReference, writeNarration };
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Editorial overrides — overrides/<date>.json holds the human fixes for one day, applied on every
+ * run so a regeneration cannot undo them:
+ *
+ *   {
+ *     "date": "2026-10-21",
+ *     "reason": "Evangelizo PL served the wrong feast",
+ *     "reference": "Luke 1:39-56",                      // or { "PL": "Luke 1:39-56" } — pinned Gospel
+ *     "set": { "impulses.de.mitnahme.text": "…" },      // dotted path → value
+ *     "suppress": ["readings.secondReading"],            // dotted paths → null
+ *     "review": { "status": "approved", "by": "…", "at": "…" }
+ *   }
+ *
+ * The day records what was applied in `overrides`, and its review state in `review`. Days generated
+ * ahead are drafts until approved (scripts/review.js); only approved days become latest.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { textHash } = require('./content-hash');
+const { validateOverride } = require('./schema');
+
+// ── Configuration ──────────────────────────────────────────────────
+const OVERRIDES_DIR = path.join(__dirname, '..', 'overrides');
+// A replaced text no longer matches its verses, so they go and the hash is recomputed
+const TEXT_PATH = /^(?:gospelTexts|readings\.\w+\.texts)\.([a-z]{2})\.text$/;
+const BIBLE_NAMES = Object.fromEntries(require('../languages.json').languages.map((l) => [l.code, l.bible.name]));
+
+/** The override for `isoDate`, or null. Throws when the file is unreadable or fails its schema. */
+function readOverride(isoDate) {
+  const file = path.join(OVERRIDES_DIR, `${isoDate}.json`);
+  if (!fs.existsSync(file)) return null;
+  let override;
+  try {
+    override = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`overrides/${isoDate}.json is unreadable (${err.message})`);
+  }
+  const problems = validateOverride(override);
+  if (override.date !== isoDate) problems.push(`date "${override.date}" does not match the filename`);
+  if (problems.length > 0) throw new Error(`overrides/${isoDate}.json is invalid: ${problems.join('; ')}`);
+  return override;
+}
+
+function writeOverride(override) {
+  fs.mkdirSync(OVERRIDES_DIR, { recursive: true });
+  fs.writeFileSync(path.join(OVERRIDES_DIR, `${override.date}.json`), JSON.stringify(override, null, 2) + '\n', 'utf-8');
+}
+
+/** The pinned Gospel reference of a calendar profile, or null. */
+function pinnedReference(override, profile) {
+  const reference = override?.reference;
+  if (!reference) return null;
+  return typeof reference === 'string' ? reference : reference[profile] || null;
+}
+
+// ── Applying ───────────────────────────────────────────────────────
+
+/** Set a dotted path, creating objects on the way (a null section becomes an object). */
+function setPath(data, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let node = data;
+  for (const key of keys.slice(0, -1)) {
+    if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function getPath(data, dottedPath) {
+  return dottedPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+}
+
+/**
+ * The day with the override applied and recorded in `overrides`. The reference pin was already
+ * honoured by the generator; here it is only recorded. Returns `data` unchanged without override.
+ */
+function applyOverride(data, override) {
+  const result = structuredClone(data);
+  delete result.overrides;
+  if (!override || !(override.reference || override.set || override.suppress)) return result;
+
+  const applied = [];
+  if (override.reference) {
+    const pins = typeof override.reference === 'string' ? { '*': override.reference } : override.reference;
+    for (const [profile, reference] of Object.entries(pins)) applied.push(`reference ${profile === '*' ? '' : `${profile} `}${reference}`);
+  }
+
+  for (const [dottedPath, value] of Object.entries(override.set || {})) {
+    setPath(result, dottedPath, structuredClone(value));
+    const lang = dottedPath.match(TEXT_PATH)?.[1];
+    if (lang) {
+      const block = getPath(result, dottedPath.replace(/\.text$/, ''));
+      block.reference ||= BIBLE_NAMES[lang] || 'override'; // `reference` names the translation
+      block.source = 'override';
+      block.textHash = textHash(value);
+      delete block.verses;
+    }
+    applied.push(`set ${dottedPath}`);
+  }
+
+  for (const dottedPath of override.suppress || []) {
+    setPath(result, dottedPath, null);
+    applied.push(`suppress ${dottedPath}`);
+  }
+
+  result.overrides = { file: `overrides/${override.date}.json`, reason: override.reason || null, applied };
+  return result;
+}
+
+// ── Review ─────────────────────────────────────────────────────────
+
+/**
+ * Review state of a day being written: the override's when it has one; otherwise days after
+ * `today` are drafts, and so is a day first generated ahead that nobody approved yet.
+ * Everything else — the daily run, backfills — is approved as before.
+ */
+function reviewState(isoDate, today, override, previous) {
+  if (override?.review) return { ...override.review };
+  if (isoDate > today) return { status: 'draft' };
+  if (previous?.review?.status === 'draft') return { status: 'draft' };
+  return { status: 'approved' };
+}
+
+/** Days without a review state predate the workflow and count as approved. */
+function isApproved(data) {
+  return !data?.review || data.review.status === 'approved';
+}
+
+module.exports = { applyOverride, isApproved, pinnedReference, readOverride, reviewState, writeOverride };
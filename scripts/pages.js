@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+/**
+ * Reading pages — static, shareable HTML of the daily Gospel, rendered from the impulse JSON:
+ *
+ *   pages/index.html              language switch: latest reading and archive per language
+ *   pages/<lang>/index.html       calendar archive, one month grid per month
+ *   pages/<lang>/YYYY-MM-DD.html  one reading: reference, text with verse numbers, translation,
+ *                                 prev/next, audio player, Open Graph metadata
+ *   pages/style.css
+ *
+ * Output depends only on the archive (no build timestamps), so unchanged days produce no diff.
+ * Drafts get no page until they are approved.
+ *
+ * Usage: node scripts/pages.js [--today YYYY-MM-DD]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { audioFor, dayName } = require('./feeds');
+const { isApproved } = require('./overrides');
+const { getLocalIsoDate, readJson } = require('./shared');
+
+// ── Configuration ──────────────────────────────────────────────────
+const ROOT = path.join(__dirname, '..');
+const IMPULSES_DIR = path.join(ROOT, 'impulses');
+const AUDIO_STATUS_DIR = path.join(ROOT, 'audio-status');
+const PAGES_DIR = path.join(ROOT, 'pages');
+const SITE_URL = (process.env.SITE_URL || 'https://michaelporwol.github.io/lumen-impulse').replace(/\/$/, '');
+const LOGO_URL = 'https://lumenexamen.com/images/logo.png';
+const LANGUAGE_REGISTRY = require('../languages.json').languages;
+const DATED_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+const DESCRIPTION_LENGTH = 200;
+
+const STYLE = `:root {
+  --bg-primary: #0a0a0a;
+  --bg-card: #1a1a1a;
+  --gold: #b8964e;
+  --gold-light: #d4b574;
+  --text-primary: #f0ece4;
+  --text-secondary: #a09888;
+  --text-muted: #6b6358;
+}
+* { margin: 0; padding: 0; box-sizing: border-box; }
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif; background: var(--bg-primary); color: var(--text-primary); -webkit-font-smoothing: antialiased; min-height: 100vh; }
+a { color: var(--gold-light); }
+a:focus-visible { outline: 2px solid var(--gold-light); outline-offset: 2px; }
+.header, main, .pager, footer { max-width: 680px; margin: 0 auto; padding: 0 1.5rem; }
+.header { padding-top: 2rem; display: flex; justify-content: space-between; align-items: center; gap: 1rem; flex-wrap: wrap; }
+.header-logo { display: inline-flex; align-items: center; gap: 0.6rem; text-decoration: none; }
+.header-logo img { width: 32px; height: 32px; border-radius: 8px; }
+.header-logo span { font-size: 1.1rem; font-weight: 600; letter-spacing: 0.04em; }
+.languages { list-style: none; display: flex; gap: 0.8rem; font-size: 0.85rem; }
+.languages [aria-current] { color: var(--text-primary); text-decoration: none; }
+main { padding-top: 2rem; padding-bottom: 2rem; }
+.date { color: var(--text-secondary); font-size: 0.9rem; }
+.day-name { color: var(--gold-light); font-size: 0.9rem; margin-top: 0.2rem; }
+h1 { font-family: Georgia, 'Times New Roman', serif; font-size: 1.8rem; font-weight: 400; margin: 0.6rem 0 0.2rem; }
+.translation { color: var(--text-muted); font-size: 0.8rem; margin-bottom: 1.5rem; }
+.gospel { font-family: Georgia, 'Times New Roman', serif; font-size: 1.15rem; line-height: 1.75; }
+.gospel sup { color: var(--gold); font-family: -apple-system, system-ui, sans-serif; font-size: 0.65rem; margin: 0 0.15em 0 0.3em; }
+audio { width: 100%; margin: 0 0 1.5rem; }
+.pager { display: flex; justify-content: space-between; gap: 1rem; padding-bottom: 2rem; font-size: 0.9rem; }
+.months { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 1.5rem; }
+table { width: 100%; border-collapse: collapse; background: var(--bg-card); border-radius: 12px; overflow: hidden; }
+caption { text-align: left; font-family: Georgia, serif; font-size: 1.1rem; padding-bottom: 0.4rem; }
+th { color: var(--text-muted); font-size: 0.7rem; font-weight: 600; padding: 6px 0; }
+td { text-align: center; padding: 6px 0; font-size: 0.85rem; color: var(--text-muted); }
+.choices { list-style: none; display: grid; gap: 1rem; }
+.choices li { background: var(--bg-card); border-radius: 12px; padding: 1rem 1.2rem; }
+.choices .label { font-size: 1.1rem; font-weight: 600; }
+footer { color: var(--text-muted); font-size: 0.75rem; padding-bottom: 2rem; }
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDate(isoDate, lang, options) {
+  return new Intl.DateTimeFormat(lang, { ...options, timeZone: 'UTC' }).format(new Date(`${isoDate}T00:00:00Z`));
+}
+
+const pageUrl = (lang, isoDate) => `${SITE_URL}/pages/${lang}/${isoDate}.html`;
+
+/** First `DESCRIPTION_LENGTH` characters of the text, cut at a word boundary. */
+function excerpt(text) {
+  if (text.length <= DESCRIPTION_LENGTH) return text;
+  return `${text.slice(0, DESCRIPTION_LENGTH).replace(/\s+\S*$/, '')} …`;
+}
+
+// ── Layout ─────────────────────────────────────────────────────────
+
+function renderDocument({ lang, title, head = [], languageLinks = [], body }) {
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+${head.join('\n')}
+<link rel="icon" type="image/png" href="${LOGO_URL}">
+<link rel="stylesheet" href="${lang === 'mul' ? '' : '../'}style.css">
+</head>
+<body>
+<header class="header">
+  <a class="header-logo" href="${lang === 'mul' ? '' : '../'}index.html"><img src="${LOGO_URL}" alt=""><span>Lumen</span></a>
+  ${languageLinks.length > 0 ? `<nav aria-label="Language"><ul class="languages">${languageLinks.join('')}</ul></nav>` : ''}
+</header>
+${body}
+<footer><p>Lumen Impulse · <a href="https://lumenexamen.com">lumenexamen.com</a></p></footer>
+</body>
+</html>
+`;
+}
+
+/** Links to the same page in the other languages (only those that have it). */
+function languageLinks(current, available) {
+  return available.map(({ language, file }) => (language.code === current
+    ? `<li><a href="${file}" aria-current="page" lang="${language.code}">${escapeHtml(language.label)}</a></li>`
+    : `<li><a href="../${language.code}/${file}" hreflang="${language.code}" lang="${language.code}">${escapeHtml(language.label)}</a></li>`));
+}
+
+// ── Reading page ───────────────────────────────────────────────────
+
+/** Verses with their numbers; the chapter is shown where it starts or changes. Old files without `verses` fall back to the plain text. */
+function renderGospelText(gospel) {
+  if (!Array.isArray(gospel.verses) || gospel.verses.length === 0) {
+    return `<p>${escapeHtml(gospel.text)}</p>`;
+  }
+  let chapter = null;
+  const verses = gospel.verses.map((v) => {
+    const number = v.chapter !== chapter ? `${v.chapter},${v.verse}` : String(v.verse);
+    chapter = v.chapter;
+    return `<sup>${number}</sup>${escapeHtml(v.text)}`;
+  });
+  return `<p>${verses.join(' ')}</p>`;
+}
+
+function renderReadingPage({ language, impulse, prev, next, audio, alternates }) {
+  const lang = language.code;
+  const gospel = impulse.gospelTexts[lang];
+  const reference = impulse.gospelRefs?.[lang] || impulse.gospelRef;
+  const name = dayName(impulse, language);
+  const date = formatDate(impulse.date, lang, { dateStyle: 'full' });
+  const title = `${reference} — ${language.ui.feedTitle}, ${date}`;
+  const url = pageUrl(lang, impulse.date);
+  const description = excerpt(gospel.text);
+
+  const head = [
+    `<meta name="description" content="${escapeHtml(description)}">`,
+    `<link rel="canonical" href="${url}">`,
+    ...alternates.map(({ language: l }) => `<link rel="alternate" hreflang="${l.code}" href="${pageUrl(l.code, impulse.date)}">`),
+    '<meta property="og:type" content="article">',
+    '<meta property="og:site_name" content="Lumen">',
+    `<meta property="og:title" content="${escapeHtml(name ? `${reference} — ${name}` : reference)}">`,
+    `<meta property="og:description" content="${escapeHtml(description)}">`,
+    `<meta property="og:url" content="${url}">`,
+    `<meta property="og:image" content="${LOGO_URL}">`,
+    `<meta property="og:locale" content="${language.locale}">`,
+    ...alternates.filter(({ language: l }) => l.code !== lang).map(({ language: l }) => `<meta property="og:locale:alternate" content="${l.locale}">`),
+    ...(audio ? [`<meta property="og:audio" content="${escapeHtml(audio.url)}">`, '<meta property="og:audio:type" content="audio/mpeg">'] : []),
+    `<meta property="article:published_time" content="${impulse.date}">`,
+    '<meta name="twitter:card" content="summary">',
+  ];
+
+  const pager = [
+    prev ? `<a href="${prev}.html" rel="prev">← ${escapeHtml(language.ui.previous)}</a>` : '<span></span>',
+    `<a href="index.html">${escapeHtml(language.ui.archive)}</a>`,
+    next ? `<a href="${next}.html" rel="next">${escapeHtml(language.ui.next)} →</a>` : '<span></span>',
+  ];
+
+  const body = `<main>
+  <article>
+    <p class="date"><time datetime="${impulse.date}">${escapeHtml(date)}</time></p>
+    ${name ? `<p class="day-name">${escapeHtml(name)}</p>` : ''}
+    <h1>${escapeHtml(reference)}</h1>
+    <p class="translation">${escapeHtml(gospel.reference || language.bible.name)}</p>
+    ${audio ? `<audio controls preload="none" src="${escapeHtml(audio.url)}" aria-label="${escapeHtml(`${language.ui.listen}: ${reference}`)}"></audio>` : ''}
+    <div class="gospel">${renderGospelText(gospel)}</div>
+  </article>
+</main>
+<nav class="pager" aria-label="${escapeHtml(language.ui.archive)}">${pager.join('\n  ')}</nav>`;
+
+  return renderDocument({
+    lang,
+    title,
+    head,
+    languageLinks: languageLinks(lang, alternates.map((a) => ({ language: a.language, file: `${impulse.date}.html` }))),
+    body,
+  });
+}
+
+// ── Archive & language index ───────────────────────────────────────
+
+/** One month as a Monday-first grid; days with a page are links. */
+function renderMonth(month, lang, dates) {
+  const [year, m] = month.split('-').map(Number);
+  const daysInMonth = new Date(Date.UTC(year, m, 0)).getUTCDate();
+  const offset = (new Date(Date.UTC(year, m - 1, 1)).getUTCDay() + 6) % 7;
+  // 2024-01-01 was a Monday
+  const weekdays = Array.from({ length: 7 }, (_, i) => [
+    formatDate(`2024-01-0${i + 1}`, lang, { weekday: 'short' }),
+    formatDate(`2024-01-0${i + 1}`, lang, { weekday: 'long' }),
+  ]);
+
+  const cells = Array.from({ length: offset }, () => '<td></td>');
+  for (let day = 1; day <= daysInMonth; day++) {
+    const isoDate = `${month}-${String(day).padStart(2, '0')}`;
+    cells.push(dates.has(isoDate)
+      ? `<td><a href="${isoDate}.html" aria-label="${escapeHtml(formatDate(isoDate, lang, { dateStyle: 'full' }))}">${day}</a></td>`
+      : `<td>${day}</td>`);
+  }
+  while (cells.length % 7 !== 0) cells.push('<td></td>');
+
+  const rows = [];
+  for (let i = 0; i < cells.length; i += 7) rows.push(`<tr>${cells.slice(i, i + 7).join('')}</tr>`);
+  return `<table>
+  <caption>${escapeHtml(formatDate(`${month}-01`, lang, { month: 'long', year: 'numeric' }))}</caption>
+  <thead><tr>${weekdays.map(([short, long]) => `<th scope="col" abbr="${escapeHtml(long)}">${escapeHtml(short)}</th>`).join('')}</tr></thead>
+  <tbody>${rows.join('\n  ')}</tbody>
+</table>`;
+}
+
+function renderArchivePage(language, dates, languagesWithPages) {
+  const lang = language.code;
+  const months = [...new Set(dates.map((d) => d.slice(0, 7)))].sort().reverse();
+  const dateSet = new Set(dates);
+  const title = `${language.ui.feedTitle} — ${language.ui.archive}`;
+
+  const body = `<main>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="translation">${escapeHtml(language.bible.name)} · <a href="${SITE_URL}/feeds/${lang}/rss.xml">RSS</a> · <a href="${SITE_URL}/feeds/${lang}/gospel.ics">iCal</a></p>
+  <div class="months">
+${months.map((month) => renderMonth(month, lang, dateSet)).join('\n')}
+  </div>
+</main>`;
+
+  return renderDocument({
+    lang,
+    title,
+    head: [
+      `<meta name="description" content="${escapeHtml(`${title} (${language.bible.name})`)}">`,
+      `<link rel="canonical" href="${SITE_URL}/pages/${lang}/index.html">`,
+      `<link rel="alternate" type="application/rss+xml" href="${SITE_URL}/feeds/${lang}/rss.xml">`,
+    ],
+    languageLinks: languageLinks(lang, languagesWithPages.map((l) => ({ language: l, file: 'index.html' }))),
+    body,
+  });
+}
+
+function renderLanguageIndex(choices) {
+  const items = choices.map(({ language, latest }) => `<li lang="${language.code}">
+    <p class="label">${escapeHtml(language.label)}</p>
+    <p><a href="${language.code}/${latest}.html">${escapeHtml(language.ui.feedTitle)}</a> · <a href="${language.code}/index.html">${escapeHtml(language.ui.archive)}</a></p>
+  </li>`);
+
+  return renderDocument({
+    lang: 'mul',
+    title: 'Lumen — Gospel of the Day',
+    head: [
+      `<link rel="canonical" href="${SITE_URL}/pages/index.html">`,
+      '<meta property="og:type" content="website">',
+      '<meta property="og:title" content="Lumen — Gospel of the Day">',
+      `<meta property="og:url" content="${SITE_URL}/pages/index.html">`,
+      `<meta property="og:image" content="${LOGO_URL}">`,
+    ],
+    body: `<main>
+  <h1>Lumen</h1>
+  <ul class="choices">
+  ${items.join('\n  ')}
+  </ul>
+</main>`,
+  });
+}
+
+// ── Writing ────────────────────────────────────────────────────────
+
+/**
+ * Render every page from the archive. A language gets a page for each day from its `since`
+ * date on that has its Gospel text; the language index links the newest one up to `today`.
+ */
+function writePages({ today = getLocalIsoDate() } = {}) {
+  const all = fs.readdirSync(IMPULSES_DIR)
+    .map((name) => name.match(DATED_FILE)?.[1])
+    .filter(Boolean)
+    .sort()
+    .map((date) => readJson(path.join(IMPULSES_DIR, `${date}.json`)))
+    .filter(Boolean);
+  const impulses = all.filter(isApproved);
+
+  // A day held back after it was rendered loses its pages
+  for (const draft of all.filter((impulse) => !isApproved(impulse))) {
+    for (const { code } of LANGUAGE_REGISTRY) fs.rmSync(path.join(PAGES_DIR, code, `${draft.date}.html`), { force: true });
+  }
+
+  const datesByLanguage = new Map(LANGUAGE_REGISTRY.map((language) => [
+    language.code,
+    impulses.filter((i) => i.date >= language.since && i.gospelTexts?.[language.code]?.text).map((i) => i.date),
+  ]));
+  const languagesWithPages = LANGUAGE_REGISTRY.filter((l) => datesByLanguage.get(l.code).length > 0);
+
+  fs.mkdirSync(PAGES_DIR, { recursive: true });
+  fs.writeFileSync(path.join(PAGES_DIR, 'style.css'), STYLE, 'utf-8');
+
+  for (const impulse of impulses) {
+    const manifest = readJson(path.join(AUDIO_STATUS_DIR, `${impulse.date}.json`));
+    const alternates = languagesWithPages
+      .filter((l) => datesByLanguage.get(l.code).includes(impulse.date))
+      .map((language) => ({ language }));
+
+    for (const { language } of alternates) {
+      const dates = datesByLanguage.get(language.code);
+      const position = dates.indexOf(impulse.date);
+      const html = renderReadingPage({
+        language,
+        impulse,
+        prev: dates[position - 1],
+        next: dates[position + 1],
+        audio: audioFor(manifest, impulse.date, language.code),
+        alternates,
+      });
+      fs.mkdirSync(path.join(PAGES_DIR, language.code), { recursive: true });
+      fs.writeFileSync(path.join(PAGES_DIR, language.code, `${impulse.date}.html`), html, 'utf-8');
+    }
+  }
+
+  const choices = [];
+  for (const language of languagesWithPages) {
+    const dates = datesByLanguage.get(language.code);
+    fs.writeFileSync(path.join(PAGES_DIR, language.code, 'index.html'), renderArchivePage(language, dates, languagesWithPages), 'utf-8');
+    const latest = dates.filter((d) => d <= today).pop() || dates[0];
+    choices.push({ language, latest });
+    console.log(`  🌐 pages/${language.code}: ${dates.length} day(s)`);
+  }
+  fs.writeFileSync(path.join(PAGES_DIR, 'index.html'), renderLanguageIndex(choices), 'utf-8');
+  console.log(`✅ Reading pages written`);
+}
+
+module.exports = { writePages };
+
+if (require.main === module) {
+  const todayIndex = process.argv.indexOf('--today');
+  const today = todayIndex !== -1 ? process.argv[todayIndex + 1] : undefined;
+  if (today !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(today || '')) {
+    console.error('❌ --today needs a YYYY-MM-DD date');
+    process.exit(2);
+  }
+  writePages({ today });
+}
@@ -0,0 +1,161 @@
+/**
+ * Bible reference grammar — "Matt 9:36-38.10,1-8", "Mt 9,36-38; 10,1-8", "John 18:1—19:42",
+ * "Psalms 93:1ab.1cd-2.5", "Syr 3, 2-6" — parsed into a book of the canon (scripts/canon.js) and
+ * per-chapter verse ranges. Shared by the generator, the archive index and the narration scripts.
+ */
+
+const { splitReference } = require('./canon');
+
+/**
+ * Split the verse part of a reference ("14—27:66", "36-38.10,1-8", "1:16, 18-21, 24a")
+ * into tokens: numbers (with optional half-verse marker: a/b, psalm lines ab/cd) and punctuation.
+ * Each token remembers whether whitespace preceded it — "1-6, 16-18" (US verse list)
+ * and "9,36" (European chapter,verse) differ only by that space.
+ */
+function tokenizeVersePart(versePart) {
+  const tokens = [];
+  const re = /(\s*)(?:(\d+)([a-e]{1,2})?|([:,.;])|([-–—]))/gy;
+  let match;
+  while (re.lastIndex < versePart.length && (match = re.exec(versePart))) {
+    const spaced = match[1].length > 0;
+    if (match[2]) tokens.push({ type: 'num', value: parseInt(match[2], 10), part: match[3] || null, spaced });
+    else if (match[4]) tokens.push({ type: match[4], spaced });
+    else tokens.push({ type: '-', spaced });
+  }
+  if (re.lastIndex < versePart.trimEnd().length) return null;
+  return tokens;
+}
+
+/**
+ * Parse the verse part of a reference into per-chapter verse ranges.
+ *
+ * Supported forms (all seen in Evangelizo/USCCB data):
+ *   US:        "6:1-6, 16-18"     "1:16, 18-21, 24a"   "26:14—27:66"
+ *   European:  "6,1-6.16-18"      "9,36-38; 10,1-8"    "18,1-19,42"
+ *   Polish BT: "3, 2-6"           "1, 26-38"           "9, 36-38; 10, 1-8"
+ *   Mixed:     "9:36-38.10,1-8"   "15:26-27.16,1-4a"   "26:14–27,66"   (Evangelizo after colon normalization)
+ *
+ * A range crossing a chapter boundary is split into one range per chapter; verseEnd
+ * is null where the range runs to the end of a chapter.
+ * Returns [{ chapter, verseStart, verseEnd, partStart, partEnd }] or null.
+ */
+function parseVersePart(versePart) {
+  const tokens = tokenizeVersePart(versePart);
+  if (!tokens || tokens.length < 3) return null;
+
+  let pos = 0;
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isNum = (t) => t && t.type === 'num';
+  // The Polish Bible (BT) writes "C, V": once a reference opens that way, its chapter switches may too
+  let spacedComma = true;
+  // "C:V", or an unspaced "C,V" where commas can mean chapter,verse
+  const isChapterVerse = (commaIsChapter) => isNum(peek()) && isNum(peek(2)) && !peek(1).spaced
+    && (peek(1).type === ':' ? !peek(2).spaced : peek(1).type === ',' && commaIsChapter && (!peek(2).spaced || spacedComma));
+
+  if (!isChapterVerse(true)) return null;
+  const style = peek(1).type === ':' ? 'us' : 'eu';
+  spacedComma = style === 'eu' && peek(2).spaced;
+  let chapter = peek().value;
+  pos += 2;
+
+  const ranges = [];
+  let lastSep = null;
+  while (pos < tokens.length) {
+    // Optional chapter switch: "16:1" anywhere, "10,1-8" in European style or after "." / ";"
+    if (isChapterVerse(style === 'eu' || lastSep === '.' || lastSep === ';')) {
+      chapter = peek().value;
+      pos += 2;
+    }
+    if (!isNum(peek())) return null;
+    const start = peek();
+    pos += 1;
+
+    let endChapter = chapter;
+    let end = start;
+    if (peek() && peek().type === '-') {
+      pos += 1;
+      // After a dash "27,66" is chapter,verse in every style — "26:14–27,66" once the feed's first comma became a colon
+      if (isChapterVerse(true)) {
+        endChapter = peek().value;
+        end = peek(2);
+        pos += 3;
+      } else if (isNum(peek())) {
+        end = peek();
+        pos += 1;
+      } else {
+        return null;
+      }
+    }
+
+    if (endChapter < chapter || (endChapter === chapter && end.value < start.value)) return null;
+    for (let c = chapter; c <= endChapter; c++) {
+      ranges.push({
+        chapter: c,
+        verseStart: c === chapter ? start.value : 1,
+        verseEnd: c === endChapter ? end.value : null,
+        partStart: c === chapter ? start.part : null,
+        partEnd: c === endChapter ? end.part : null,
+      });
+    }
+    chapter = endChapter;
+
+    if (pos >= tokens.length) break;
+    const sep = peek();
+    // US lists verses with "," or ";"; European with "."; "." also appears in Evangelizo's mixed form
+    const isListSep = sep.type === ';' || sep.type === '.' || (sep.type === ',' && (style === 'us' || sep.spaced));
+    if (!isListSep) return null;
+    lastSep = sep.type;
+    pos += 1;
+  }
+
+  return ranges.length > 0 ? ranges : null;
+}
+
+/**
+ * Parse a reference like "Mark 8:11-13", "1 John 3:1-2", "Matthew 6:1-6, 16-18", "Matt 9:36-38.10,1-8",
+ * "Mk 8,11-13", "1 Kor 13,4-13" or "Łk 1, 26-38" — the book in English, German or Polish (canon.json) —
+ * into verse ranges, each tagged with its chapter.
+ * Returns { book, bookNumber, chapter, chapters, ranges: [{ chapter, verseStart, verseEnd, partStart, partEnd }] }
+ * `book` is the canon entry, `bookNumber` its Bolls.life number (see bollsNumber for exceptions).
+ * Also sets chapter/verseStart/verseEnd from the first and last range for backwards compat.
+ */
+function parseReference(reference) {
+  const split = splitReference(reference);
+  if (!split) {
+    console.warn(`  ⚠️ Could not parse reference: "${reference}"`);
+    return null;
+  }
+
+  const ranges = parseVersePart(split.versePart);
+  if (!ranges) {
+    console.warn(`  ⚠️ Could not parse verses: "${split.versePart}"`);
+    return null;
+  }
+
+  const first = ranges[0];
+  const last = ranges[ranges.length - 1];
+  return {
+    book: split.book,
+    bookNumber: split.book.bolls,
+    chapter: first.chapter,
+    chapters: [...new Set(ranges.map(r => r.chapter))],
+    verseStart: first.verseStart,
+    verseEnd: last.verseEnd,
+    ranges,
+  };
+}
+
+/** Human-readable form of parsed ranges for log output, e.g. "26:14-end, 27:1-66". */
+function formatRanges(ranges) {
+  return ranges
+    .map(r => `${r.chapter}:${r.verseStart}${r.partStart || ''}-${r.verseEnd === null ? 'end' : r.verseEnd}${r.partEnd || ''}`)
+    .join(', ');
+}
+
+/** Comparable identity of a reference: "Matt 6:1-6.16-18" and "Matthew 6:1-6, 16-18" are the same passage. */
+function referenceKey(reference) {
+  const parsed = parseReference(reference);
+  return parsed ? `${parsed.bookNumber}|${formatRanges(parsed.ranges)}` : reference;
+}
+
+module.exports = { formatRanges, parseReference, referenceKey };
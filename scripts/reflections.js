@@ -0,0 +1,294 @@
+/**
+ * Reflections — the opt-in AI stage that fills `impulses.<lang>` of a day's file.
+ *
+ * A provider turns chat messages into the model's reply:
+ *
+ *   { id, model, complete(messages) → Promise<string> }
+ *
+ * complete() throws an Error with `retryable: true` when asking again can help (timeouts,
+ * network errors, HTTP 429/5xx). Providers: `magisterium` (Magisterium AI), `openai` (any
+ * OpenAI-compatible /chat/completions endpoint, e.g. a local model server) and `fixture`
+ * (deterministic, offline).
+ *
+ * Every language is generated on its own: a reply that does not parse, or that scripts/guardrails.js
+ * does not pass, is sent back to the model with what is wrong. A language without a usable reply
+ * ends up as null (held back) without affecting the others.
+ */
+
+// ── Configuration ──────────────────────────────────────────────────
+const MAGISTERIUM_API_URL = 'https://www.magisterium.com/api/v1/chat/completions';
+const REFLECTION_BASE_URL = (process.env.REFLECTION_BASE_URL || 'http://localhost:8080/v1').replace(/\/$/, '');
+const REFLECTION_MODEL = process.env.REFLECTION_MODEL || '';
+const API_TIMEOUT_MS = 120000; // 120s timeout — Magisterium API can be slow
+const MAX_ATTEMPTS = Number(process.env.REFLECTION_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = 2000; // doubled after every failed request
+
+const { checkReflection, describeFindings, wordingRules } = require('./guardrails');
+const { request } = require('./http');
+
+const LANGUAGE_REGISTRY = require('../languages.json').languages;
+const LANGUAGE_BY_CODE = Object.fromEntries(LANGUAGE_REGISTRY.map((l) => [l.code, l]));
+
+// ── Prompt & parsing ───────────────────────────────────────────────
+
+function buildPrompt(gospelRef, lang) {
+  const language = LANGUAGE_BY_CODE[lang] || LANGUAGE_BY_CODE.de;
+  const langLabel = language.prompt.languageName;
+  const langDu = language.prompt.address;
+
+  return {
+    system: `Du bist ein katholischer geistlicher Begleiter in der ignatianischen Tradition. Antworte ausschließlich mit validem JSON. Kein Markdown, keine Codeblöcke, kein umschließender Text – nur das reine JSON-Objekt.`,
+    user: `Das heutige Tagesevangelium: ${gospelRef}
+
+Erstelle einen universellen Morgenimpuls auf ${langLabel} als JSON:
+{"impuls":{"title":"...","text":"..."},"mitnahme":{"title":"${language.ui.questionTitle}","text":"..."},"tieferReingehen":{"titel":"...","text":"...","gedanken":["...","...","..."],"uebung":"..."}}
+
+Regeln:
+- ${langDu}
+- 2-3 Sätze pro Impuls-Text, lebensnah und warm
+- Die Frage (mitnahme) soll konkret und alltagstauglich sein
+- tieferReingehen: theologisch fundiert (Kirchenväter, Ignatius, KKK), genau 3 Gedanken, 1 praktische Übung
+- Kein Moralisieren, keine Angst-Rhetorik, ignatianisch-barmherzig
+${wordingRules(lang).map((rule) => `${rule}\n`).join('')}- Beziehe dich auf das Tagesevangelium
+- ALLE Bibelzitate und Verweise müssen auf ${langLabel} sein — NIEMALS Zitate in einer anderen Sprache (kein Englisch in deutschen Texten, kein Deutsch in englischen Texten etc.)
+- KEINE Fußnoten, Quellenverweise oder Referenzmarker wie [^1] oder [1] im Text`,
+  };
+}
+
+/** Strip Magisterium AI footnote references like [^3], [^6][^7], [^1^], (cf. [^1]) etc. */
+function stripFootnotes(text) {
+  if (typeof text !== 'string') return text;
+  return text
+    .replace(/\s*\[\^?\d+\^?\]/g, '')  // [^3], [1], [^12], [^1^] (with optional leading space)
+    .replace(/\s*\(cf\.\s*\)/g, '')    // leftover empty "(cf. )" after stripping
+    .replace(/\s{2,}/g, ' ')           // collapse double spaces
+    .trim();
+}
+
+function parseImpulseJson(content, lang = 'de') {
+  let cleaned = content.trim();
+
+  // Strip markdown code fences if present
+  const fenceMatch = cleaned.match(/```(?:json)?\s*\n?([\s\S]*?)\n?\s*```/);
+  if (fenceMatch) cleaned = fenceMatch[1].trim();
+
+  // Find the outermost JSON object
+  const firstBrace = cleaned.indexOf('{');
+  const lastBrace = cleaned.lastIndexOf('}');
+  if (firstBrace !== -1 && lastBrace > firstBrace) {
+    cleaned = cleaned.slice(firstBrace, lastBrace + 1);
+  }
+
+  const parsed = JSON.parse(cleaned);
+
+  // Validate required fields
+  if (!parsed.impuls?.title || !parsed.impuls?.text) {
+    throw new Error('Missing impuls.title or impuls.text');
+  }
+  if (!parsed.mitnahme?.text) {
+    throw new Error('Missing mitnahme.text');
+  }
+  if (!parsed.tieferReingehen?.titel || !parsed.tieferReingehen?.text) {
+    throw new Error('Missing tieferReingehen fields');
+  }
+  if (!Array.isArray(parsed.tieferReingehen.gedanken)) {
+    parsed.tieferReingehen.gedanken = [parsed.tieferReingehen.gedanken || ''];
+  }
+
+  return {
+    impuls: { title: stripFootnotes(parsed.impuls.title), text: stripFootnotes(parsed.impuls.text) },
+    mitnahme: {
+      title: stripFootnotes(parsed.mitnahme.title) || (LANGUAGE_BY_CODE[lang] || LANGUAGE_BY_CODE.de).ui.questionTitle,
+      text: stripFootnotes(parsed.mitnahme.text),
+    },
+    tieferReingehen: {
+      titel: stripFootnotes(parsed.tieferReingehen.titel),
+      text: stripFootnotes(parsed.tieferReingehen.text),
+      gedanken: parsed.tieferReingehen.gedanken.map(stripFootnotes),
+      uebung: stripFootnotes(parsed.tieferReingehen.uebung || ''),
+    },
+  };
+}
+
+// ── Providers ──────────────────────────────────────────────────────
+
+function providerError(message, retryable) {
+  return Object.assign(new Error(message), { retryable });
+}
+
+/**
+ * POST an OpenAI-style chat completion and return the first choice's content. One attempt per
+ * call — generateReflection retries — but it goes through scripts/http.js, so it is logged,
+ * recorded and replayed like every other request.
+ */
+async function postChatCompletion(label, url, headers, body) {
+  let resp;
+  try {
+    resp = await request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      timeoutMs: API_TIMEOUT_MS,
+      attempts: 1,
+    });
+  } catch (err) {
+    throw providerError(`${label}: ${err.message}`, true);
+  }
+  if (!resp.ok) {
+    throw providerError(`${label} ${resp.status}: ${resp.body.substring(0, 200)}`, resp.status === 429 || resp.status >= 500);
+  }
+  let content;
+  try {
+    content = JSON.parse(resp.body)?.choices?.[0]?.message?.content;
+  } catch {
+    // not JSON — treated like an empty reply
+  }
+  if (!content) throw providerError(`Empty response from ${label}`, true);
+  return content;
+}
+
+function magisteriumProvider() {
+  const apiKey = process.env.MAGISTERIUM_API_KEY;
+  if (!apiKey) throw new Error('MAGISTERIUM_API_KEY is not set');
+  return {
+    id: 'magisterium',
+    model: null,
+    complete: (messages) => postChatCompletion('Magisterium API', MAGISTERIUM_API_URL, { Authorization: `Bearer ${apiKey}` }, { messages }),
+  };
+}
+
+/** Any OpenAI-compatible endpoint: REFLECTION_BASE_URL (…/v1), REFLECTION_MODEL, optional REFLECTION_API_KEY. */
+function openAiProvider() {
+  if (!REFLECTION_MODEL) throw new Error('REFLECTION_MODEL is not set');
+  const apiKey = process.env.REFLECTION_API_KEY;
+  return {
+    id: 'openai',
+    model: REFLECTION_MODEL,
+    complete: (messages) => postChatCompletion(
+      REFLECTION_BASE_URL,
+      `${REFLECTION_BASE_URL}/chat/completions`,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      { model: REFLECTION_MODEL, messages, temperature: 0.7 },
+    ),
+  };
+}
+
+/** Offline and deterministic: the same reference and language always give the same reflection. */
+function fixtureProvider() {
+  return {
+    id: 'fixture',
+    model: null,
+    complete: async (messages) => {
+      const user = messages.find((m) => m.role === 'user').content;
+      const gospelRef = user.match(/^Das heutige Tagesevangelium: (.*)$/m)?.[1] || '';
+      const questionTitle = user.match(/"mitnahme":\{"title":"([^"]*)"/)?.[1] || '';
+      return JSON.stringify({
+        impuls: { title: `Impuls zu ${gospelRef}`, text: `Fixture-Impuls zu ${gospelRef}. Ein zweiter Satz.` },
+        mitnahme: { title: questionTitle, text: `Fixture-Frage zu ${gospelRef}?` },
+        tieferReingehen: {
+          titel: `Tiefer: ${gospelRef}`,
+          text: `Fixture-Betrachtung zu ${gospelRef}.`,
+          gedanken: ['Erster Gedanke.', 'Zweiter Gedanke.', 'Dritter Gedanke.'],
+          uebung: 'Fixture-Übung.',
+        },
+      });
+    },
+  };
+}
+
+const PROVIDERS = { magisterium: magisteriumProvider, openai: openAiProvider, fixture: fixtureProvider };
+
+/** Provider by id; throws when the id is unknown or its configuration is missing. */
+function createProvider(id) {
+  const factory = PROVIDERS[id];
+  if (!factory) throw new Error(`Unknown reflection provider "${id}" (${Object.keys(PROVIDERS).join(', ')})`);
+  return factory();
+}
+
+// ── Stage ──────────────────────────────────────────────────────────
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * One language, up to MAX_ATTEMPTS requests: { impulse, check }. A reply that fails parseImpulseJson
+ * or the guardrails goes back to the model together with what is wrong; transport errors are retried
+ * with backoff. When no reply passes the guardrails, `impulse` is null and `check` is the best
+ * attempt's, marked heldBack. Throws when no reply parsed at all.
+ */
+async function generateReflection(provider, gospelRef, lang) {
+  const { system, user } = buildPrompt(gospelRef, lang);
+  const messages = [
+    { role: 'system', content: system },
+    { role: 'user', content: user },
+  ];
+
+  let lastError;
+  let best = null;
+  let attempt = 1;
+  for (; attempt <= MAX_ATTEMPTS; attempt++) {
+    let content;
+    try {
+      content = await provider.complete(messages);
+    } catch (err) {
+      lastError = err;
+      if (!err.retryable) break;
+      console.warn(`  ⚠️ ${lang}: ${err.message} — attempt ${attempt}/${MAX_ATTEMPTS}`);
+      if (attempt < MAX_ATTEMPTS) await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1));
+      continue;
+    }
+
+    let impulse;
+    try {
+      impulse = parseImpulseJson(content, lang);
+    } catch (err) {
+      lastError = err;
+      console.warn(`  ⚠️ ${lang}: unusable reply (${err.message}) — attempt ${attempt}/${MAX_ATTEMPTS}`);
+      messages.push(
+        { role: 'assistant', content },
+        { role: 'user', content: `Deine Antwort war unbrauchbar: ${err.message}. Antworte noch einmal – nur mit dem JSON-Objekt im vorgegebenen Format.` },
+      );
+      continue;
+    }
+
+    const check = { ...checkReflection(impulse, lang), attempts: attempt };
+    if (check.passed) return { impulse, check };
+    if (!best || check.score > best.score) best = check;
+    console.warn(`  ⚠️ ${lang}: guardrails score ${check.score} — attempt ${attempt}/${MAX_ATTEMPTS}`);
+    messages.push(
+      { role: 'assistant', content },
+      { role: 'user', content: `Deine Antwort verletzt die Regeln:\n${describeFindings(check.findings)}\nAntworte noch einmal – nur mit dem korrigierten JSON-Objekt.` },
+    );
+  }
+  if (best) return { impulse: null, check: { ...best, attempts: Math.min(attempt, MAX_ATTEMPTS), heldBack: true } };
+  throw lastError;
+}
+
+/**
+ * Reflections for every language of `gospelRefs` ({ de: 'Matthäus 23,1-12', ... }).
+ * Returns { impulses: { de: {...} | null, ... }, checks: { de: {score, ...} | null, ... }, source: { provider, model } }.
+ */
+async function generateReflections(provider, gospelRefs) {
+  const impulses = {};
+  const checks = {};
+  for (const [lang, gospelRef] of Object.entries(gospelRefs)) {
+    console.log(`  Calling ${provider.id} for lang=${lang}...`);
+    try {
+      const { impulse, check } = await generateReflection(provider, gospelRef, lang);
+      impulses[lang] = impulse;
+      checks[lang] = check;
+      if (impulse) {
+        console.log(`  ✅ ${lang}: "${impulse.impuls.title}" (score ${check.score})`);
+      } else {
+        console.warn(`  🛑 ${lang}: held back, best score ${check.score}:\n${describeFindings(check.findings).replace(/^/gm, '     ')}`);
+        if (process.env.GITHUB_ACTIONS) console.log(`::warning title=Reflection held back::${lang}: guardrails score ${check.score}`);
+      }
+    } catch (err) {
+      console.warn(`  ❌ ${lang}: no reflection (${err.message})`);
+      impulses[lang] = null;
+      checks[lang] = null;
+    }
+  }
+  return { impulses, checks, source: { provider: provider.id, model: provider.model } };
+}
+
+module.exports = { buildPrompt, createProvider, generateReflections, parseImpulseJson, stripFootnotes };
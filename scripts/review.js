@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Review — lists the drafts (days generated ahead) and approves them.
+ *
+ * The approval is recorded in overrides/<date>.json, so a later regeneration keeps it. The day's
+ * file is rewritten right away, latest.json moves when the day is today, and the index, narration,
+ * feeds and pages pick the day up as after a generator run.
+ *
+ * Usage: node scripts/review.js [list] [--today YYYY-MM-DD]
+ *        node scripts/review.js approve YYYY-MM-DD [--by NAME] [--today YYYY-MM-DD]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeArchiveOutputs, writeDayOutputs, writeImpulse } = require('./generate-impulse');
+const { readOverride, writeOverride } = require('./overrides');
+const { getLocalIsoDate, readJson } = require('./shared');
+
+// ── Configuration ──────────────────────────────────────────────────
+const IMPULSES_DIR = path.join(__dirname, '..', 'impulses');
+const DATED_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// ── Commands ───────────────────────────────────────────────────────
+
+function listDrafts(today) {
+  const drafts = fs.readdirSync(IMPULSES_DIR)
+    .map((name) => name.match(DATED_FILE)?.[1])
+    .filter(Boolean)
+    .sort()
+    .map((date) => ({ date, data: readJson(path.join(IMPULSES_DIR, `${date}.json`)) }))
+    .filter(({ data }) => data?.review?.status === 'draft');
+
+  if (drafts.length === 0) {
+    console.log('✅ No drafts awaiting approval');
+    return;
+  }
+  console.log(`📝 ${drafts.length} draft(s) awaiting approval:`);
+  for (const { date, data } of drafts) {
+    const checks = Object.entries(data.reflectionChecks || {})
+      .map(([lang, check]) => `${lang} ${check ? (check.heldBack ? `held back (${check.score})` : check.score) : '–'}`);
+    const notes = [
+      ...(checks.length > 0 ? [`reflections: ${checks.join(', ')}`] : []),
+      ...(data.overrides ? [`${data.overrides.applied.length} override(s)`] : []),
+    ];
+    console.log(`  ${date}  ${data.gospelRef}${date <= today ? '  ⚠️ due' : ''}${notes.length > 0 ? `  — ${notes.join('; ')}` : ''}`);
+  }
+}
+
+function approve(isoDate, by, today) {
+  const data = readJson(path.join(IMPULSES_DIR, `${isoDate}.json`));
+  if (!data) throw new Error(`impulses/${isoDate}.json does not exist or is unreadable — generate it first`);
+
+  const override = readOverride(isoDate) || { date: isoDate };
+  override.review = { status: 'approved', ...(by ? { by } : {}), at: new Date().toISOString() };
+  writeOverride(override);
+  console.log(`✅ Approved in overrides/${isoDate}.json${by ? ` by ${by}` : ''}`);
+
+  writeImpulse(isoDate, data, today);
+  writeDayOutputs(isoDate);
+  writeArchiveOutputs(today);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const today = option(args, '--today') || getLocalIsoDate();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(today)) {
+    console.error('❌ --today needs a YYYY-MM-DD date');
+    process.exit(2);
+  }
+
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'list';
+  if (command === 'list') {
+    listDrafts(today);
+  } else if (command === 'approve') {
+    const date = args[1];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      console.error('❌ approve needs a YYYY-MM-DD date');
+      process.exit(2);
+    }
+    approve(date, option(args, '--by') || process.env.GIT_AUTHOR_NAME || null, today);
+  } else {
+    console.error(`❌ Unknown command: ${command} (list, approve)`);
+    process.exit(2);
+  }
+}
+
+module.exports = { approve, listDrafts };
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Saints of the day — the saints and commemorations of a date in de/en/pl, each
+ * { id, name, rank, description }, highest rank first:
+ *
+ *   "saints": { "en": [ { "id": "paul-of-the-cross", "name": "Saint Paul of the Cross",
+ *                         "rank": "optional-memorial", "description": "Priest" }, … ] }
+ *
+ * Evangelizo's saint feed of the language's calendar (AM = United States, DE, PL) names them;
+ * sanctorale.json (via scripts/liturgical-calendar.js) gives each its id, rank and description.
+ * Feed names the calendar does not know are kept as commemorations without an id. When the feed
+ * fails, the language falls back to the bundled General Roman Calendar and its national proper.
+ *
+ * Usage: node scripts/saints.js [YYYY-MM-DD] [de|en|pl]   (offline — the bundled calendar only)
+ */
+
+const { getSaintsOfDay } = require('./liturgical-calendar');
+const { request } = require('./http');
+const { getLocalIsoDate } = require('./shared');
+
+// ── Configuration ──────────────────────────────────────────────────
+const SAINT_LANGUAGES = ['de', 'en', 'pl']; // the languages sanctorale.json names
+// Words that do not tell two saints apart: titles, "Our Lady of", "and Companions", articles
+const STOPWORDS = new Set([
+  'saint', 'saints', 'st', 'sts', 'ss', 'blessed', 'bl', 'our', 'lady', 'of', 'the', 'and', 'companions', 'martyrs',
+  'hl', 'heilige', 'heiliger', 'heiligen', 'sel', 'selige', 'seliger', 'unsere', 'liebe', 'frau', 'und', 'von', 'vom', 'der', 'die', 'des', 'gefahrten',
+  'sw', 'swiety', 'swieta', 'swieci', 'swiete', 'blogoslawiony', 'blogoslawiona', 'najswietsza', 'maryja', 'panna', 'i', 'z', 'ze', 'od', 'towarzysze',
+  'de', 'la', 'le',
+]);
+
+const ENTITIES = { amp: '&', quot: '"', apos: "'", nbsp: ' ', lt: '<', gt: '>' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, code) => {
+    if (code[0] === '#') return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+/** Distinctive words of a name, lower-case and without diacritics: "Hl. Johannes von Gott" → ["johannes", "gott"]. */
+function nameWords(name) {
+  return name
+    .normalize('NFD').replace(/\p{M}/gu, '').replace(/ł/g, 'l').replace(/Ł/g, 'L')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOPWORDS.has(word));
+}
+
+// ── Evangelizo saint feed ──────────────────────────────────────────
+
+/** The saint names in a reader.php type=saint response: links or lines, tags and entities stripped. */
+function parseEvangelizoSaints(html) {
+  return html
+    .split(/<br\s*\/?>|<\/a>|\n/i)
+    .map((part) => decodeEntities(part.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+async function fetchEvangelizoSaints(isoDate, feedLang) {
+  const url = `https://feed.evangelizo.org/v2/reader.php?date=${isoDate.replace(/-/g, '')}&type=saint&lang=${feedLang}`;
+  console.log(`Fetching Evangelizo saints: ${url}`);
+  const resp = await request(url);
+  if (!resp.ok) throw new Error(`Evangelizo saint feed failed: ${resp.status}`);
+  const names = parseEvangelizoSaints(resp.body);
+  if (names.length === 0) throw new Error('Evangelizo returned no saints');
+  return { names, url, attempts: resp.attempts };
+}
+
+// ── Matching against the bundled calendar ──────────────────────────
+
+/**
+ * How well a feed name fits a calendar saint: the distinctive words they share, or 0 when that is
+ * too few — every word of the shorter name, and at least two when both have more ("Isaac Jogues"
+ * fits "John de Brébeuf, Isaac Jogues, and Companions"; "John of Capistrano" does not fit "John Paul II").
+ */
+function matchScore(nameWords, saintWords) {
+  const shared = saintWords.filter((word) => nameWords.has(word)).length;
+  const needed = Math.min(nameWords.size, saintWords.length, 2);
+  return shared > 0 && shared >= needed ? shared : 0;
+}
+
+/**
+ * The feed's names, each matched to the saint of the bundled calendar it fits best (matchScore),
+ * every calendar saint at most once. Calendar saints the feed left out are added when they are
+ * the celebration or an optional memorial of the day — a memorial must not disappear because the
+ * feed spelled it differently. A name the feed repeats is kept once.
+ */
+function matchSaints(names, calendarSaints, lang) {
+  const unmatched = calendarSaints.map((saint) => ({ saint, words: nameWords(saint.names[lang]) }));
+  const seen = new Set();
+  const saints = [];
+  names.forEach((name, order) => {
+    const words = new Set(nameWords(name));
+    const key = [...words].join(' ') || name.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    let best = null;
+    for (const candidate of unmatched) {
+      const score = matchScore(words, candidate.words);
+      if (score > 0 && (!best || score > best.score)) best = { candidate, score };
+    }
+    if (!best) {
+      saints.push({ id: null, name, rank: 'commemoration', description: null, order });
+      return;
+    }
+    unmatched.splice(unmatched.indexOf(best.candidate), 1);
+    const { saint } = best.candidate;
+    saints.push({ id: saint.id, name, rank: saint.rank, description: saint.descriptions?.[lang] ?? null, order });
+  });
+
+  for (const { saint } of unmatched) {
+    if (saint.rank === 'commemoration') continue;
+    saints.push({ id: saint.id, name: saint.names[lang], rank: saint.rank, description: saint.descriptions?.[lang] ?? null, order: -1 });
+  }
+  return sortSaints(saints).map(({ order, ...saint }) => saint);
+}
+
+const RANK_ORDER = ['solemnity', 'feast', 'memorial', 'optional-memorial', 'commemoration'];
+
+// By rank; within a rank in the feed's order (calendar-only saints first)
+function sortSaints(saints) {
+  return saints.sort((a, b) => RANK_ORDER.indexOf(a.rank) - RANK_ORDER.indexOf(b.rank) || a.order - b.order);
+}
+
+function bundledSaints(calendarSaints, lang) {
+  return calendarSaints.map((saint) => ({ id: saint.id, name: saint.names[lang], rank: saint.rank, description: saint.descriptions?.[lang] ?? null }));
+}
+
+// ── Public API ────────────────────────────────────────────────────
+
+/**
+ * The saints of `isoDate` for each of `languages` ([{ lang, profile, feed }] — the calendar
+ * profile and the Evangelizo feed of the language, feed null for none).
+ * Returns { saints: { de: [...], ... }, provenance: { de: { source, url, attempts, fallback }, ... } }.
+ * Never throws for a failing feed — that language falls back to the bundled calendar.
+ */
+async function fetchSaints(isoDate, languages) {
+  const saints = {};
+  const provenance = {};
+  for (const { lang, profile, feed } of languages) {
+    const calendarSaints = getSaintsOfDay(isoDate, profile);
+    if (feed) {
+      try {
+        const { names, url, attempts } = await fetchEvangelizoSaints(isoDate, feed);
+        saints[lang] = matchSaints(names, calendarSaints, lang);
+        provenance[lang] = { source: `evangelizo:${feed}`, url, attempts, fallback: false };
+        console.log(`  ✅ Saints ${lang}: ${saints[lang].map((s) => s.name).join(' · ')}`);
+        continue;
+      } catch (err) {
+        console.warn(`⚠️ Evangelizo saints ${feed} failed: ${err.message} — using the bundled calendar`);
+      }
+    }
+    saints[lang] = bundledSaints(calendarSaints, lang);
+    provenance[lang] = { source: 'sanctorale', url: null, attempts: 0, fallback: true };
+    console.log(`  📿 Saints ${lang} (bundled ${profile}): ${saints[lang].map((s) => s.name).join(' · ') || '–'}`);
+  }
+  return { saints, provenance };
+}
+
+module.exports = { fetchSaints, matchSaints, parseEvangelizoSaints, SAINT_LANGUAGES };
+
+if (require.main === module) {
+  const isoDate = process.argv[2] || getLocalIsoDate();
+  const lang = process.argv[3] || 'en';
+  const profile = require('../languages.json').languages.find((l) => l.code === lang)?.calendarProfile || 'GRC';
+  console.log(JSON.stringify(bundledSaints(getSaintsOfDay(isoDate, profile), lang), null, 2));
+}
@@ -0,0 +1,110 @@
+/**
+ * JSON Schema check for impulses/*.json, audio-status/*.json and overrides/*.json — no dependencies.
+ *
+ * Implements the part of draft 2020-12 that schemas/*.v1.json use: type, enum, const,
+ * properties, required, additionalProperties, patternProperties, items, minLength,
+ * pattern, minimum, maximum, anyOf, if/then and local $ref ("#/$defs/...").
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+const SCHEMA_VERSION = 1; // written as `schemaVersion` by the generator
+
+const SCHEMAS = {
+  impulse: JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `impulse.v${SCHEMA_VERSION}.json`), 'utf-8')),
+  audioStatus: JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `audio-status.v${SCHEMA_VERSION}.json`), 'utf-8')),
+  override: JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `override.v${SCHEMA_VERSION}.json`), 'utf-8')),
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Only local $ref supported, got ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+/** Validate `value` against `schema`; returns ["path: message", ...] (empty = valid). */
+function validate(value, schema, root = schema, at = '$') {
+  if (schema.$ref) return validate(value, resolveRef(root, schema.$ref), root, at);
+
+  const errors = [];
+  const fail = (message) => errors.push(`${at}: ${message}`);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if ('const' in schema && value !== schema.const) fail(`expected ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) fail(`expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map((branch) => validate(value, branch, root, at));
+    if (!branches.some((e) => e.length === 0)) {
+      // Report the branch that got furthest: skip branches rejected on type alone, then the fewest errors
+      const typed = branches.filter((e) => !(e.length === 1 && e[0].startsWith(`${at}: expected`)));
+      const candidates = typed.length > 0 ? typed : branches;
+      errors.push(...candidates.reduce((best, e) => (e.length < best.length ? e : best)));
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`shorter than ${schema.minLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail(`does not match ${schema.pattern}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`above ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, root, `${at}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing required "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childAt = `${at}.${key}`;
+      if (schema.properties && key in schema.properties) {
+        errors.push(...validate(child, schema.properties[key], root, childAt));
+        continue;
+      }
+      const pattern = Object.keys(schema.patternProperties || {}).find((p) => new RegExp(p, 'u').test(key));
+      if (pattern) {
+        errors.push(...validate(child, schema.patternProperties[pattern], root, childAt));
+      } else if (schema.additionalProperties === false) {
+        fail(`unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(child, schema.additionalProperties, root, childAt));
+      }
+    }
+  }
+
+  if (schema.if && validate(value, schema.if, root, at).length === 0 && schema.then) {
+    errors.push(...validate(value, schema.then, root, at));
+  }
+
+  return errors;
+}
+
+const validateImpulse = (data) => validate(data, SCHEMAS.impulse);
+const validateAudioStatus = (data) => validate(data, SCHEMAS.audioStatus);
+const validateOverride = (data) => validate(data, SCHEMAS.override);
+
+module.exports = { SCHEMA_VERSION, validate, validateAudioStatus, validateImpulse, validateOverride };
@@ -0,0 +1,36 @@
+/**
+ * Helpers every script needs: the date the feed is on (Europe/Berlin), calendar arithmetic on
+ * ISO dates and lenient JSON reading.
+ */
+
+const fs = require('fs');
+
+/** Today in Europe/Berlin as YYYY-MM-DD — the date the generator, the feeds and the checks agree on. */
+function getLocalIsoDate() {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Europe/Berlin',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+  }).format(new Date());
+}
+
+/** "2026-04-30" + 1 → "2026-05-01" (calendar arithmetic in UTC, no DST surprises) */
+function shiftIsoDate(isoDate, days) {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/** A real YYYY-MM-DD date ("2026-02-30" is not). */
+function isIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && shiftIsoDate(value, 0) === value;
+}
+
+/** The parsed file, or null when it is missing or unreadable. */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { getLocalIsoDate, isIsoDate, readJson, shiftIsoDate };
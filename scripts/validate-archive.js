@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * Archive validator — checks every impulses/*.json, audio-status/*.json and overrides/*.json.
+ *
+ * Errors (exit 1): unreadable JSON, schema violations, date ≠ filename,
+ *                  latest.json differing from today's (approved) file, a draft as latest.json,
+ *                  a draft in the index, a monthly bundle, the feeds, the pages or the narration,
+ *                  a saint listed twice on a day.
+ * Warnings:        empty languages, missing days, audio or overrides without an impulse,
+ *                  latest.json not pointing at today, today awaiting approval.
+ *                  --strict turns them into errors.
+ *
+ * Usage: node scripts/validate-archive.js [--strict] [--today YYYY-MM-DD]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isApproved } = require('./overrides');
+const { validateAudioStatus, validateImpulse, validateOverride } = require('./schema');
+const { getLocalIsoDate, readJson, shiftIsoDate } = require('./shared');
+
+const ROOT = path.join(__dirname, '..');
+const IMPULSES_DIR = path.join(ROOT, 'impulses');
+const AUDIO_STATUS_DIR = path.join(ROOT, 'audio-status');
+const OVERRIDES_DIR = path.join(ROOT, 'overrides');
+const FEEDS_DIR = path.join(ROOT, 'feeds');
+const PAGES_DIR = path.join(ROOT, 'pages');
+const NARRATION_DIR = path.join(ROOT, 'narration');
+const LANGUAGE_REGISTRY = require('../languages.json').languages;
+const DATED_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+// Derived by scripts/archive-index.js — not day files
+const DERIVED_FILE = /^(?:latest|index|passages|\d{4}-\d{2})\.json$/;
+
+/** Languages with no Gospel text, among those the registry had on `isoDate`. */
+function emptyLanguages(data, isoDate) {
+  return LANGUAGE_REGISTRY
+    .filter((l) => l.since <= isoDate && !data.gospelTexts?.[l.code]?.text)
+    .map((l) => l.code);
+}
+
+/** Saints listed more than once in a language of the day — by id, or by name for those without one. */
+function duplicateSaints(data) {
+  const duplicates = [];
+  for (const [lang, saints] of Object.entries(data.saints || {})) {
+    const seen = new Set();
+    for (const saint of saints) {
+      const key = saint.id || saint.name;
+      if (seen.has(key)) duplicates.push(`${lang} ${key}`);
+      seen.add(key);
+    }
+  }
+  return duplicates;
+}
+
+/** Drafts are withheld from every derived output until approved — report each place one shows up. */
+function checkDraftsWithheld(drafts, report) {
+  const index = readJson(path.join(IMPULSES_DIR, 'index.json'));
+  const passages = readJson(path.join(IMPULSES_DIR, 'passages.json'));
+  const feeds = LANGUAGE_REGISTRY.flatMap(({ code }) => ['rss.xml', 'atom.xml', 'feed.json', 'gospel.ics']
+    .map((name) => `feeds/${code}/${name}`)
+    .filter((file) => fs.existsSync(path.join(ROOT, file)))
+    .map((file) => ({ file, text: fs.readFileSync(path.join(ROOT, file), 'utf-8') })));
+
+  for (const date of drafts) {
+    const found = [];
+    if (index?.days?.[date]) found.push('impulses/index.json');
+    if (Object.values(passages?.passages || {}).some((p) => p.dates.includes(date))) found.push('impulses/passages.json');
+    if (readJson(path.join(IMPULSES_DIR, `${date.slice(0, 7)}.json`))?.days?.[date]) found.push(`impulses/${date.slice(0, 7)}.json`);
+    for (const { file, text } of feeds) {
+      if (text.includes(`/impulses/${date}.json#`) || text.includes(`UID:${date}-`)) found.push(file);
+    }
+    for (const { code } of LANGUAGE_REGISTRY) {
+      if (fs.existsSync(path.join(PAGES_DIR, code, `${date}.html`))) found.push(`pages/${code}/${date}.html`);
+    }
+    if (fs.existsSync(path.join(NARRATION_DIR, date))) found.push(`narration/${date}/`);
+    if (found.length > 0) report.error(`impulses/${date}.json`, `draft published in ${found.join(', ')}`);
+  }
+}
+
+/**
+ * Check one directory of dated files. `check(data, date, report)` adds file-specific findings.
+ * Returns the dates found.
+ */
+function checkDatedFiles(dir, label, validateFn, report, check = () => {}) {
+  const dates = [];
+  if (!fs.existsSync(dir)) return dates;
+
+  for (const name of fs.readdirSync(dir).sort()) {
+    if (name.startsWith('.') || DERIVED_FILE.test(name)) continue;
+    const file = `${label}/${name}`;
+    const match = name.match(DATED_FILE);
+    if (!match) {
+      report.warning(file, 'not a YYYY-MM-DD.json file');
+      continue;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8'));
+    } catch (err) {
+      report.error(file, `unreadable JSON (${err.message})`);
+      continue;
+    }
+
+    dates.push(match[1]);
+    for (const problem of validateFn(data)) report.error(file, problem);
+    if (data.date !== match[1]) report.error(file, `date "${data.date}" does not match the filename`);
+    check(data, match[1], (kind, message) => report[kind](file, message));
+  }
+  return dates;
+}
+
+function validateArchive({ today = getLocalIsoDate() } = {}) {
+  const findings = [];
+  const report = {
+    error: (file, message) => findings.push({ level: 'error', file, message }),
+    warning: (file, message) => findings.push({ level: 'warning', file, message }),
+  };
+
+  // Impulses
+  const drafts = [];
+  const impulseDates = checkDatedFiles(IMPULSES_DIR, 'impulses', validateImpulse, report, (data, date, add) => {
+    if (!isApproved(data)) drafts.push(date);
+    const duplicates = duplicateSaints(data);
+    if (duplicates.length > 0) add('error', `saints listed twice: ${duplicates.join(', ')}`);
+    if (data.gospelTexts === null) {
+      add('warning', 'gospelTexts is null');
+      return;
+    }
+    const empty = emptyLanguages(data, date);
+    if (empty.length > 0) add('warning', `no Gospel text for ${empty.join(', ')}`);
+  });
+
+  // Gaps between the first and the last day
+  if (impulseDates.length > 0) {
+    const present = new Set(impulseDates);
+    const last = impulseDates[impulseDates.length - 1];
+    for (let d = impulseDates[0]; d <= last; d = shiftIsoDate(d, 1)) {
+      if (!present.has(d)) report.warning(`impulses/${d}.json`, 'missing day');
+    }
+  }
+
+  checkDraftsWithheld(drafts, report);
+
+  // latest.json — must be a valid, approved impulse and identical to today's file unless that is a draft
+  const latestPath = path.join(IMPULSES_DIR, 'latest.json');
+  if (fs.existsSync(latestPath)) {
+    try {
+      const latestRaw = fs.readFileSync(latestPath, 'utf-8');
+      const latest = JSON.parse(latestRaw);
+      for (const problem of validateImpulse(latest)) report.error('impulses/latest.json', problem);
+      if (latest.review?.status === 'draft') report.error('impulses/latest.json', `is the draft of ${latest.date} — only approved days may be latest`);
+
+      const todayPath = path.join(IMPULSES_DIR, `${today}.json`);
+      if (fs.existsSync(todayPath)) {
+        const todayData = readJson(todayPath);
+        if (todayData.review?.status === 'draft') {
+          report.warning(`impulses/${today}.json`, `draft awaiting approval — latest.json stays at ${latest.date}`);
+        } else if (JSON.stringify(todayData) !== JSON.stringify(latest)) {
+          report.error('impulses/latest.json', `differs from impulses/${today}.json (latest is ${latest.date})`);
+        }
+      } else if (latest.date !== today) {
+        report.warning('impulses/latest.json', `points at ${latest.date}, there is no file for today (${today})`);
+      }
+    } catch (err) {
+      report.error('impulses/latest.json', `unreadable JSON (${err.message})`);
+    }
+  } else {
+    report.warning('impulses/latest.json', 'missing');
+  }
+
+  // Audio manifests
+  const impulseSet = new Set(impulseDates);
+  checkDatedFiles(AUDIO_STATUS_DIR, 'audio-status', validateAudioStatus, report, (data, date, add) => {
+    if (!impulseSet.has(date)) add('warning', 'audio manifest without an impulse file');
+  });
+
+  // Editorial overrides
+  checkDatedFiles(OVERRIDES_DIR, 'overrides', validateOverride, report, (data, date, add) => {
+    if (!impulseSet.has(date)) add('warning', 'override without an impulse file (applied when the day is generated)');
+  });
+
+  return findings;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const todayIndex = args.indexOf('--today');
+  const today = todayIndex !== -1 ? args[todayIndex + 1] : undefined;
+
+  const findings = validateArchive({ today });
+  const errors = findings.filter((f) => f.level === 'error');
+  const warnings = findings.filter((f) => f.level === 'warning');
+
+  for (const f of findings) {
+    console.log(`${f.level === 'error' ? '❌' : '⚠️'} ${f.file}: ${f.message}`);
+  }
+  console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+
+  if (errors.length > 0 || (strict && warnings.length > 0)) process.exit(1);
+  console.log('✅ Archive valid');
+}
+
+module.exports = { validateArchive };
+
+if (require.main === module) main();